@@ -0,0 +1,27 @@
+/**
+ * Article filters shared by publishing targets (targets.json) and layout
+ * templates (layouts/*.json "match"), kept free of token and file access:
+ *
+ *   { "domain": ["kalbela"], "category": ["খেলা"] }
+ *
+ * Every listed field must match (case-insensitive); category matches either
+ * category or category_bn. No filters match every article.
+ */
+
+function norm(v) {
+  return String(v || "").trim().toLowerCase();
+}
+
+export function matchesFilters(filters, article) {
+  const { domain, category } = filters || {};
+  if (domain?.length && !domain.map(norm).includes(norm(article.domain))) {
+    return false;
+  }
+  if (category?.length) {
+    const wanted = category.map(norm);
+    if (!wanted.includes(norm(article.category)) && !wanted.includes(norm(article.category_bn))) {
+      return false;
+    }
+  }
+  return true;
+}
@@ -0,0 +1,50 @@
+import crypto from "crypto";
+
+/**
+ * Stable article identity: a short hash of the normalized article URL.
+ * The same story keeps its ID across re-scoring and re-sorting, so images
+ * and posts are named by ID instead of by position in a JSON array.
+ */
+
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|ref|ref_src|amp)$/i;
+
+/**
+ * Normalize a URL so trivial variants hash alike:
+ * scheme/host case, "www.", tracking params, fragments and trailing slashes.
+ */
+export function normalizeUrl(url) {
+  const raw = String(url || "").trim();
+  let u;
+  try {
+    u = new URL(raw);
+  } catch {
+    return raw.toLowerCase();
+  }
+  const host = u.hostname.toLowerCase().replace(/^www\./, "");
+  const params = [...u.searchParams.entries()]
+    .filter(([k]) => !TRACKING_PARAMS.test(k))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params)}` : "";
+  let pathname = u.pathname;
+  try {
+    pathname = decodeURIComponent(pathname);
+  } catch {
+    // keep the percent-encoded form
+  }
+  pathname = pathname.replace(/\/+$/, "");
+  return `${host}${pathname}${query}`;
+}
+
+export function articleId(article) {
+  const basis = article.url
+    ? normalizeUrl(article.url)
+    : `title:${(article.article_title || "").trim()}`;
+  return crypto.createHash("sha256").update(basis).digest("hex").slice(0, 16);
+}
+
+/**
+ * The article's ID, computing it when the record predates IDs.
+ */
+export function idOf(article) {
+  return article.id || articleId(article);
+}
@@ -1,115 +1,245 @@
 import fs from "fs";
 import path from "path";
+import { pathToFileURL } from "url";
+import { articleId } from "./articleId.js";
+import { parseScoreOutput, MAX_CAPTIONS } from "./scoreSchema.js";
+import { createBackend } from "./modelBackends.js";
+import { mapPool } from "./pool.js";
+import { clusterArticles } from "./clustering.js";
+import { cacheKey, getCached, setCached } from "./scoreCache.js";
+import { isFresh } from "./ingest.js";
+import { createLogger } from "./logger.js";
+import { startRun, finishRun, count } from "./runReport.js";
 import dotenv from "dotenv";
 dotenv.config();
 
-const backend = process.env.MODEL_BACKEND || "ollama";
-const model =
-  backend === "openai"
-    ? process.env.OPENAI_MODEL || "gpt-4o-mini"
-    : process.env.OLLAMA_MODEL || "llama3.2";
-
-async function queryModel(prompt) {
-  if (backend === "ollama") {
-    const res = await fetch("http://localhost:11434/api/generate", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ model, prompt }),
-    });
-    let text = "";
-    for await (const chunk of res.body) text += Buffer.from(chunk).toString();
-    const parsed = text
-      .split("\n")
-      .filter(Boolean)
-      .map((l) => JSON.parse(l).response)
-      .join("");
-    return parsed.trim();
-  } else if (backend === "openai") {
-    const res = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model,
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.7,
-      }),
-    });
-    const data = await res.json();
-    return data.choices?.[0]?.message?.content?.trim() || "";
-  }
-  throw new Error("Unknown backend selected");
+const log = createLogger("score");
+
+// Created on first use, so importing this module (policyGate.js, tests) needs
+// no model settings; scoreArticles() creates it up front and fails fast on an
+// unknown MODEL_BACKEND (see modelBackends.js)
+let backend = null;
+
+function getBackend() {
+  return (backend ||= createBackend());
 }
 
-const folder = "../articles";
-const files = fs.readdirSync(folder).filter((f) => f.endsWith(".json"));
-let allArticles = [];
-for (const file of files) {
-  try {
-    const data = JSON.parse(fs.readFileSync(path.join(folder, file)));
-    allArticles.push(...data);
-  } catch (e) {
-    console.error("❌ Failed to read", file, e);
-  }
+export async function queryModel(prompt) {
+  return getBackend().generate(prompt);
 }
 
-const seen = new Set();
-allArticles = allArticles.filter((a) => {
-  if (!a.article_title || seen.has(a.article_title)) return false;
-  seen.add(a.article_title);
-  return a.article_body && a.article_body.length > 50;
-});
+// Backend and model name for cache keys (scoreCache.js), here and in policyGate.js
+export function backendName() {
+  return getBackend().name;
+}
+
+export function modelName() {
+  return getBackend().model;
+}
+
+// ---- pipeline -------------------------------------------------------
+
+function loadArticles(folder) {
+  const files = fs
+    .readdirSync(folder)
+    .filter((f) => f.endsWith(".json") && !f.startsWith("article_filtered"));
+  let allArticles = [];
+  for (const file of files) {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(folder, file)));
+      allArticles.push(...data);
+    } catch (e) {
+      log.error(`❌ Failed to read ${file}`, { err: e });
+    }
+  }
 
-console.log(`📰 Valid articles: ${allArticles.length}`);
+  // Same cutoff as ingestion (ingest.js): stale news is never sent to the model
+  const fresh = allArticles.filter((a) => isFresh(a));
+  if (fresh.length < allArticles.length) {
+    log.info(`🗓️ Skipped ${allArticles.length - fresh.length} article(s) older than the freshness cutoff`);
+  }
+
+  const seen = new Set();
+  const unique = fresh
+    .map((a) => ({ id: articleId(a), ...a }))
+    .filter((a) => {
+      if (!a.article_title || seen.has(a.article_title) || seen.has(a.id)) return false;
+      seen.add(a.article_title);
+      seen.add(a.id);
+      return a.article_body && a.article_body.length > 50;
+    });
 
-const results = [];
-for (const art of allArticles) {
-  const prompt = `
+  // Same event, different outlet/headline → one representative (clustering.js)
+  const representatives = clusterArticles(unique);
+  if (representatives.length < unique.length) {
+    log.info(`🧩 Merged ${unique.length - representatives.length} near-duplicate(s) across outlets`);
+  }
+  return representatives;
+}
+
+// Bump whenever buildPrompt() changes meaning — cached scores are keyed on it
+const PROMPT_VERSION = "v2";
+
+function buildPrompt(art) {
+  return `
 তুমি একটি সামাজিক মাধ্যম বিশেষজ্ঞ।
 নিচের সংবাদটি পড়ে অনুমান করো এটি কতটা ভাইরাল হতে পারে (০ থেকে ১০০ স্কোর)।
-তারপর আকর্ষণীয় বাংলা ক্যাপশন লেখো (Facebook পোস্টের উপযোগী)।
+তারপর ${MAX_CAPTIONS}টি আলাদা ধরনের আকর্ষণীয় বাংলা ক্যাপশন লেখো (Facebook পোস্টের উপযোগী),
+যেমন একটি তথ্যনির্ভর, একটি প্রশ্নধর্মী, একটি আবেগময়। ক্যাপশনে লিংক বা হ্যাশট্যাগ দিও না।
 এবং কোন UTC সময়ে পোস্ট করলে সবচেয়ে ভালো হবে তা বলো।
 
 JSON আকারে দাও:
-{"score": number, "caption": "string", "best_post_time_utc": "HH:MM"}
+{"score": number, "captions": ["string", "string", "string"], "best_post_time_utc": "HH:MM"}
 আউটপুটের JSON স্কিমা:
 {
   "score": 0-100 (integer),
-  "caption": "Bangla one-line sentence",
+  "captions": ["Bangla one-line sentence", … (${MAX_CAPTIONS}টি)],
   "best_post_time_utc": "HH:MM"
 }
   
 শিরোনাম: ${art.article_title}
 বিবরণ: ${art.article_body?.slice(0, 700)}
 	`;
+}
 
-  console.log(`⚙️ Evaluating: ${art.article_title.slice(0, 60)}...`);
+const REPAIR_ATTEMPTS = Number(process.env.SCORE_REPAIR_ATTEMPTS || 2);
+const FLUSH_MS = Number(process.env.SCORE_FLUSH_MS || 5000);
+
+function buildRepairPrompt(prompt, raw, error) {
+  return `${prompt}
+তোমার আগের উত্তর:
+${raw}
+
+এই উত্তরটি গ্রহণযোগ্য নয়: ${error}
+শুধু একটি বৈধ JSON অবজেক্ট দাও, অন্য কোনো লেখা বা \`\`\` চিহ্ন ছাড়া।
+`;
+}
+
+/**
+ * Query the model and validate its JSON, re-prompting with the validation
+ * error up to REPAIR_ATTEMPTS times.
+ * Returns { ok: true, value, attempts } | { ok: false, error, raw, attempts }.
+ */
+async function scoreWithRepair(prompt) {
+  let raw = await queryModel(prompt);
+  let result = parseScoreOutput(raw);
+  let attempts = 1;
+  while (!result.ok && attempts <= REPAIR_ATTEMPTS) {
+    log.warn(`🔧 Invalid output (${result.error}) — asking again`);
+    count("parse_failures");
+    raw = await queryModel(buildRepairPrompt(prompt, raw, result.error));
+    result = parseScoreOutput(raw);
+    attempts++;
+  }
+  return result.ok ? { ...result, attempts } : { ...result, raw, attempts };
+}
+
+function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Score every article in `folder` and write them, best first, to `outPath`.
+ * Articles whose output never validates go to `rejectsPath` with the reason.
+ *
+ * - Up to SCORE_CONCURRENCY (default 4) model calls run at once
+ * - Results are cached per article ID + backend + model + PROMPT_VERSION (scoreCache.js),
+ *   so a re-run only sends new stories to the model
+ * - `outPath` is rewritten at most every SCORE_FLUSH_MS (default 5s) while scoring
+ *   and once at the end, so a crash keeps what was scored
+ *
+ * Returns the sorted results.
+ */
+export async function scoreArticles({
+  folder = "../articles",
+  outPath = "../articles/article_filtered-2.json",
+  rejectsPath = "../output/article_rejects.json",
+  concurrency = Number(process.env.SCORE_CONCURRENCY || 4),
+} = {}) {
+  const backend = getBackend();
+  const allArticles = loadArticles(folder);
+  log.info(`📰 Valid articles: ${allArticles.length}`, { backend: backend.name, model: backend.model });
+  count("articles_loaded", allArticles.length);
+
+  const results = [];
+  const rejects = [];
+  let cached = 0;
+  let flushedAt = Date.now();
+  const flush = ({ force = false } = {}) => {
+    if (!force && Date.now() - flushedAt < FLUSH_MS) return;
+    flushedAt = Date.now();
+    results.sort((a, b) => b.score - a.score);
+    writeJsonAtomic(outPath, results);
+  };
+
+  // Recorded on every result so insights.js can compare models and prompt versions
+  const scoredBy = { model: backend.model, prompt_version: PROMPT_VERSION };
+
+  await mapPool(allArticles, concurrency, async (art) => {
+    const key = cacheKey({ id: art.id, backend: backend.name, model: backend.model, promptVersion: PROMPT_VERSION });
+    const hit = getCached(key);
+    if (hit) {
+      cached++;
+      count("articles_cached");
+      results.push({ ...art, ...hit, ...scoredBy });
+      flush();
+      return;
+    }
+
+    const prompt = buildPrompt(art);
+
+    log.info(`⚙️ Evaluating: ${art.article_title.slice(0, 60)}...`);
 
-  try {
-    const raw = await queryModel(prompt);
-    let parsed;
     try {
-      parsed = JSON.parse(raw);
-    } catch {
-      parsed = { score: 0, caption: raw, best_post_time_utc: "12:00" };
+      const scored = await scoreWithRepair(prompt);
+      if (!scored.ok) {
+        log.warn(`🚫 Rejected after ${scored.attempts} attempt(s): ${scored.error}`, { id: art.id });
+        count("parse_failures");
+        count("articles_rejected");
+        rejects.push({
+          id: art.id,
+          article_title: art.article_title,
+          url: art.url,
+          reason: scored.error,
+          raw: scored.raw,
+          attempts: scored.attempts,
+          rejected_at: new Date().toISOString(),
+        });
+        writeJsonAtomic(rejectsPath, rejects);
+        return;
+      }
+      const value = { ...scored.value, filtered_at: new Date().toISOString() };
+      setCached(key, value);
+      count("articles_scored");
+      results.push({ ...art, ...value, ...scoredBy });
+      flush();
+    } catch (err) {
+      log.error(`⚠️ Error for ${art.article_title}`, { id: art.id, err });
+      count("score_errors");
     }
-    results.push({
-      ...art,
-      ...parsed,
-      filtered_at: new Date().toISOString(),
-    });
-  } catch (err) {
-    console.error("⚠️ Error for", art.article_title, err);
+  });
+
+  flush({ force: true });
+  writeJsonAtomic(rejectsPath, rejects);
+
+  log.info(`✅ Done — saved at ${outPath} (${cached} from cache)`);
+  if (rejects.length) {
+    log.info(`🚫 ${rejects.length} rejected output(s) saved at ${rejectsPath}`);
   }
+  return results;
 }
 
-results.sort((a, b) => b.score - a.score);
-fs.mkdirSync("../articles", { recursive: true });
-fs.writeFileSync(
-  "../articles/article_filtered-2.json",
-  JSON.stringify(results, null, 2)
-);
-
-console.log("✅ Done — saved at ./output/article_filtered.json");
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startRun("score");
+  scoreArticles().then(
+    () => log.info(`📋 Run report: ${finishRun()}`),
+    (err) => {
+      log.error("❌ Scoring failed", { err });
+      finishRun({ error: err });
+      process.exitCode = 1;
+    }
+  );
+}
@@ -0,0 +1,136 @@
+import { graphemes, excerpt } from "./textLayout.js";
+
+/**
+ * Caption and link composition for posts (facebookPoster.js → planArticle).
+ *
+ * The scoring model returns several caption variants (`captions`, first one also
+ * in `caption`); the poster picks one per post and composePost() builds:
+ *
+ *   caption   variant + call to action + hashtags from category_bn
+ *   comment   UTM-tagged link, a sentence-boundary excerpt of the body (textLayout.js) and
+ *             the other outlets' links (clustering.js → also_reported_by)
+ *   text, hashtags, link   the parts, for platforms that lay them out themselves
+ *
+ * Per-Page rules come from the target's "compose" block (targets.json), all optional:
+ *   {
+ *     "cta": "বিস্তারিত কমেন্টে",      call to action ("" for none; only used when
+ *                                     the platform keeps links out of the caption)
+ *     "hashtags": true,              tags from category_bn
+ *     "extraHashtags": ["ডমকা"],      always added, after the category ones
+ *     "hashtagMax": 3,
+ *     "excerptMax": 200,             characters of body in the comment (0 = none)
+ *     "utm": { "source": "facebook", "medium": "social", "campaign": "<target name>" }
+ *                                    or false to post links untouched
+ *   }
+ * utm_content is the caption variant ("v1", "v2"…), so clicks can be split by variant.
+ */
+
+export const DEFAULT_CTA = "বিস্তারিত কমেন্টে";
+const DEFAULT_RULES = { hashtags: true, extraHashtags: [], hashtagMax: 3, excerptMax: 200 };
+const ELLIPSIS = "…";
+
+/**
+ * Cut `text` to at most `max` UTF-16 units (what Instagram and Telegram count),
+ * between grapheme clusters, ending with an ellipsis.
+ */
+export function fitCaption(text, max) {
+  const clean = String(text || "").trim();
+  if (clean.length <= max) return clean;
+  let out = "";
+  for (const g of graphemes(clean)) {
+    if (out.length + g.length + ELLIPSIS.length > max) break;
+    out += g;
+  }
+  return out.trimEnd() + ELLIPSIS;
+}
+
+/**
+ * Keep the first `max` hashtags; later ones lose their "#" so the post isn't rejected.
+ */
+export function limitHashtags(text, max) {
+  let seen = 0;
+  return String(text || "").replace(/#(?=[\p{L}\p{N}_])/gu, () => (++seen > max ? "" : "#"));
+}
+
+/**
+ * category_bn → hashtags: "শিক্ষা ও স্বাস্থ্য" → ["#শিক্ষা", "#স্বাস্থ্য"],
+ * "মুক্ত মত" → ["#মুক্ত_মত"].
+ */
+export function hashtagsFor(category) {
+  return String(category || "")
+    .split(/[,/|]|\s+(?:ও|এবং|&)\s+/u)
+    .map((part) => part.replace(/[^\p{L}\p{M}\p{N}_\s]/gu, "").trim().replace(/\s+/g, "_"))
+    .filter(Boolean)
+    .map((tag) => `#${tag}`);
+}
+
+/**
+ * Add utm_* parameters to an http(s) link; parameters already on it are kept.
+ */
+export function utmLink(url, params) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return url;
+  }
+  if (!/^https?:$/.test(u.protocol)) return url;
+  for (const [key, value] of Object.entries(params)) {
+    if (value && !u.searchParams.has(`utm_${key}`)) u.searchParams.set(`utm_${key}`, value);
+  }
+  return u.toString();
+}
+
+/**
+ * The caption variants of an article, deduplicated; falls back to the single `caption`.
+ */
+export function captionVariants(article) {
+  const list = Array.isArray(article.captions) && article.captions.length ? article.captions : [article.caption];
+  return [...new Set(list.map((c) => String(c || "").trim()).filter(Boolean))];
+}
+
+/**
+ * Build one post's text for `target`. `variant` indexes captionVariants(article)
+ * (wrapped); `rules` are the platform adapter's (publishers.js).
+ * Returns { caption, comment, text, hashtags, link, variant }.
+ */
+export function composePost(article, { target = {}, rules = {}, variant = 0 } = {}) {
+  const compose = { ...DEFAULT_RULES, ...(target.compose || {}) };
+  const variants = captionVariants(article);
+  const index = variants.length ? variant % variants.length : null;
+  const text = index === null ? article.article_title || "" : variants[index];
+
+  const tags = [
+    ...(compose.hashtags ? hashtagsFor(article.category_bn) : []),
+    ...compose.extraHashtags.map((t) => `#${String(t).replace(/^#/, "")}`),
+  ];
+  const hashtags = [...new Set(tags)].slice(0, compose.hashtagMax);
+
+  const utm =
+    compose.utm === false
+      ? null
+      : {
+          source: target.platform || "facebook",
+          medium: "social",
+          campaign: target.name,
+          ...(compose.utm || {}),
+          content: index === null ? null : `v${index + 1}`,
+        };
+  const tag = (url) => (utm ? utmLink(url, utm) : url);
+  const link = article.url ? tag(article.url) : null;
+
+  const cta = rules.linksInCaption ? "" : compose.cta ?? DEFAULT_CTA;
+  const caption = [text, cta, hashtags.join(" ")].filter(Boolean).join("\n");
+
+  const lines = [];
+  if (link) lines.push(link);
+  const body = compose.excerptMax ? excerpt(article.article_body, compose.excerptMax) : "";
+  if (body) lines.push(body);
+  const others = (article.also_reported_by || []).filter((o) => o.url);
+  if (others.length) {
+    lines.push("আরও পড়ুন:");
+    for (const o of others) lines.push(`${o.source || o.domain || ""}: ${tag(o.url)}`.trim());
+  }
+
+  return { caption, comment: lines.join("\n") || null, text, hashtags, link, variant: index };
+}
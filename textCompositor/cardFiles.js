@@ -0,0 +1,47 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Photocard file names, shared by the renderer (photocard-cli-skia.js) and the
+ * code that looks cards up again (editorial.js, the /review routes) without
+ * loading skia-canvas.
+ */
+
+export const FORMAT_EXT = { png: "png", jpeg: "jpg", webp: "webp" };
+
+/**
+ * Card file name: the feed card keeps the plain ${id}.ext name the poster expects;
+ * other presets and carousel slides get a suffix (${id}-story.jpg, ${id}-2.jpg).
+ */
+export function cardFileName(id, { preset = "feed", slide = 1, format = "png" } = {}) {
+  const suffix = `${preset === "feed" ? "" : `-${preset}`}${slide > 1 ? `-${slide}` : ""}`;
+  return `${id}${suffix}.${FORMAT_EXT[format] || format}`;
+}
+
+/**
+ * Feed card and carousel slides of an article found in `dir`, in slide order,
+ * in whichever format they were rendered ([] when there is none).
+ */
+export function feedCards(id, dir) {
+  for (const format of Object.keys(FORMAT_EXT)) {
+    const slides = [];
+    for (let slide = 1; ; slide++) {
+      const file = path.join(dir, cardFileName(id, { slide, format }));
+      if (!fs.existsSync(file)) break;
+      slides.push(file);
+    }
+    if (slides.length) return slides;
+  }
+  return [];
+}
+
+/**
+ * Feed slides of a domka manifest entry (manifest.js), in slide order.
+ */
+export function manifestFeedCards(entry) {
+  const slides = (entry?.media || [])
+    .filter((m) => m.preset === "feed")
+    .sort((a, b) => a.slide - b.slide)
+    .map((m) => m.path);
+  return slides.length ? slides : entry?.photocard ? [entry.photocard] : [];
+}
@@ -0,0 +1,160 @@
+import { normalizeDate } from "./ingest.js";
+
+/**
+ * Near-duplicate story clustering across outlets.
+ *
+ * Prothom Alo and Kalbela often cover the same event under different
+ * headlines. Articles are compared on character shingles of their
+ * normalized title and lead paragraph; pairs above CLUSTER_THRESHOLD are
+ * merged (union-find) and one representative per cluster is kept, with the
+ * other outlets recorded in `also_reported_by` so the poster can credit them.
+ *
+ * Only articles from different outlets (domain, else URL host) published within
+ * CLUSTER_WINDOW_HOURS (default 36) of each other are compared: articles are
+ * sorted by published_date and each is checked against the ones after it in
+ * the window. An article without a readable date is compared with every other.
+ */
+
+const THRESHOLD = Number(process.env.CLUSTER_THRESHOLD || 0.3);
+const WINDOW_HOURS = Number(process.env.CLUSTER_WINDOW_HOURS || 36);
+const LEAD_CHARS = 600;
+
+const BN_DIGITS = "০১২৩৪৫৬৭৮৯";
+
+/**
+ * Bangla-aware normalization: NFC (so য়/ড়/ঢ় precomposed and decomposed forms
+ * match), no ZWJ/ZWNJ, Latin digits, no punctuation (incl. দাঁড়ি), lowercase.
+ */
+export function normalizeBangla(text) {
+  return String(text || "")
+    .normalize("NFC")
+    .replace(/[\u200c\u200d]/g, "")
+    .replace(/[০-৯]/g, (d) => String(BN_DIGITS.indexOf(d)))
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Character n-grams taken inside each word, so common short words
+ * and word boundaries don't dominate the overlap.
+ */
+export function shingles(text, n) {
+  const set = new Set();
+  for (const word of normalizeBangla(text).split(" ")) {
+    const chars = [...word];
+    if (!chars.length) continue;
+    if (chars.length <= n) {
+      set.add(word);
+      continue;
+    }
+    for (let i = 0; i + n <= chars.length; i++) set.add(chars.slice(i, i + n).join(""));
+  }
+  return set;
+}
+
+export function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let inter = 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  for (const x of small) if (large.has(x)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+export function similarity(fa, fb) {
+  return 0.4 * jaccard(fa.title, fb.title) + 0.6 * jaccard(fa.lead, fb.lead);
+}
+
+function outlet(article) {
+  if (article.domain) return String(article.domain).toLowerCase();
+  try {
+    return new URL(article.url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return null;
+  }
+}
+
+function features(article) {
+  return {
+    title: shingles(article.article_title, 3),
+    lead: shingles((article.article_body || "").slice(0, LEAD_CHARS), 4),
+    outlet: outlet(article),
+    time: Date.parse(normalizeDate(article.published_date) || ""),
+  };
+}
+
+/**
+ * Index pairs [i, j] worth comparing: different outlets, published within
+ * `windowHours` of each other (or either undated).
+ */
+function candidatePairs(feats, windowHours) {
+  const windowMs = windowHours * 60 * 60 * 1000;
+  const dated = [];
+  const undated = [];
+  feats.forEach((f, i) => (Number.isNaN(f.time) ? undated : dated).push(i));
+  dated.sort((a, b) => feats[a].time - feats[b].time);
+
+  const pairs = [];
+  const add = (i, j) => {
+    if (!feats[i].outlet || feats[i].outlet !== feats[j].outlet) pairs.push([i, j]);
+  };
+  for (let a = 0; a < dated.length; a++) {
+    for (let b = a + 1; b < dated.length && feats[dated[b]].time - feats[dated[a]].time <= windowMs; b++) {
+      add(dated[a], dated[b]);
+    }
+  }
+  for (const [n, i] of undated.entries()) {
+    for (const j of [...dated, ...undated.slice(n + 1)]) add(i, j);
+  }
+  return pairs;
+}
+
+// The most complete report wins: has a photo, then the longest body
+function pickRepresentative(members) {
+  return [...members].sort(
+    (a, b) =>
+      Number(!!b.article_image) - Number(!!a.article_image) ||
+      (b.article_body || "").length - (a.article_body || "").length
+  )[0];
+}
+
+/**
+ * Group near-duplicates and return one representative per cluster,
+ * in the input order of the representatives.
+ */
+export function clusterArticles(articles, { threshold = THRESHOLD, windowHours = WINDOW_HOURS } = {}) {
+  const feats = articles.map(features);
+  const parent = articles.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (const [i, j] of candidatePairs(feats, windowHours)) {
+    if (find(i) !== find(j) && similarity(feats[i], feats[j]) >= threshold) {
+      parent[find(j)] = find(i);
+    }
+  }
+
+  const clusters = new Map();
+  articles.forEach((a, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(a);
+  });
+
+  const reps = [];
+  for (const members of clusters.values()) {
+    const rep = pickRepresentative(members);
+    const others = members.filter((m) => m !== rep);
+    reps.push({
+      ...rep,
+      cluster_size: members.length,
+      also_reported_by: others.map((m) => ({
+        source: m.source,
+        domain: m.domain,
+        url: m.url,
+        article_title: m.article_title,
+      })),
+    });
+  }
+  const order = new Map(articles.map((a, i) => [a.id, i]));
+  return reps.sort((a, b) => order.get(a.id) - order.get(b.id));
+}
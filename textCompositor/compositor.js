@@ -0,0 +1,197 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { Canvas, loadImage } from "skia-canvas";
+import { PRESETS } from "./layouts.js";
+
+dotenv.config();
+
+/**
+ * Photo + template compositing (formerly image_compositor/photocard-image-only.py).
+ *
+ * - Detects the black photo window on the template (largest dark region)
+ * - Scales the template to cover the card size (layout width/height or its preset),
+ *   cropping the overflow evenly, so e.g. a square template can back a story card
+ * - Places the article_image with a 'cover' fit (like CSS background-size: cover)
+ * - Reapplies the template's non-black pixels so borders/shadows sit on top of the photo
+ * - Article images are downloaded once into IMAGE_CACHE_DIR (default ../data/image-cache)
+ * - Layouts without a template image get a plain background and an optional photo box
+ */
+
+const IMAGE_CACHE_DIR = process.env.IMAGE_CACHE_DIR || "../data/image-cache";
+
+// Same thresholds as the OpenCV version: HSV (H any, S <= 80, V <= 60) on a 0-255 scale
+const MAX_SAT = 80;
+const MAX_VAL = 60;
+
+function isBlack(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const sat = max === 0 ? 0 : ((max - min) * 255) / max;
+  return max <= MAX_VAL && sat <= MAX_SAT;
+}
+
+/**
+ * Bounding box of the largest 4-connected black region, inset by 2px.
+ */
+function detectBlackBox(mask, W, H) {
+  const seen = new Uint8Array(W * H);
+  const stack = new Int32Array(W * H);
+  let best = null;
+  for (let start = 0; start < W * H; start++) {
+    if (!mask[start] || seen[start]) continue;
+    let top = 0;
+    let size = 0;
+    let x0 = W, y0 = H, x1 = 0, y1 = 0;
+    stack[top++] = start;
+    seen[start] = 1;
+    while (top) {
+      const p = stack[--top];
+      const x = p % W;
+      const y = (p - x) / W;
+      size++;
+      if (x < x0) x0 = x;
+      if (x > x1) x1 = x;
+      if (y < y0) y0 = y;
+      if (y > y1) y1 = y;
+      for (const q of [x > 0 ? p - 1 : -1, x < W - 1 ? p + 1 : -1, p - W, p + W]) {
+        if (q >= 0 && q < W * H && mask[q] && !seen[q]) {
+          seen[q] = 1;
+          stack[top++] = q;
+        }
+      }
+    }
+    if (!best || size > best.size) best = { size, x0, y0, x1, y1 };
+  }
+  if (!best) throw new Error("No black rectangle found in template.");
+  return {
+    x: best.x0 + 2,
+    y: best.y0 + 2,
+    w: Math.max(1, best.x1 - best.x0 + 1 - 4),
+    h: Math.max(1, best.y1 - best.y0 + 1 - 4),
+  };
+}
+
+const templates = new Map();
+
+/**
+ * Load a template PNG once: { image, overlay (black pixels transparent), window }.
+ */
+export async function loadTemplate(templatePath) {
+  if (templates.has(templatePath)) return templates.get(templatePath);
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`Template not found: ${templatePath}`);
+  }
+  const image = await loadImage(templatePath);
+  const W = image.width;
+  const H = image.height;
+  const canvas = new Canvas(W, H);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0);
+
+  const data = ctx.getImageData(0, 0, W, H);
+  const px = data.data;
+  const mask = new Uint8Array(W * H);
+  for (let i = 0; i < W * H; i++) {
+    if (isBlack(px[i * 4], px[i * 4 + 1], px[i * 4 + 2])) {
+      mask[i] = 1;
+      px[i * 4 + 3] = 0;
+    }
+  }
+  ctx.putImageData(data, 0, 0);
+
+  const template = { image, overlay: canvas, window: detectBlackBox(mask, W, H), width: W, height: H };
+  templates.set(templatePath, template);
+  return template;
+}
+
+/**
+ * Load an article image from a local path or URL (cached on disk).
+ */
+export async function loadArticleImage(pathOrUrl) {
+  if (!/^https?:\/\//.test(pathOrUrl)) return loadImage(pathOrUrl);
+
+  const ext = path.extname(new URL(pathOrUrl).pathname).slice(0, 5) || ".img";
+  const hash = crypto.createHash("sha1").update(pathOrUrl).digest("hex");
+  const cached = path.join(IMAGE_CACHE_DIR, `${hash}${ext}`);
+  if (!fs.existsSync(cached)) {
+    const res = await fetch(pathOrUrl, { signal: AbortSignal.timeout(60000) });
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${pathOrUrl}`);
+    fs.mkdirSync(IMAGE_CACHE_DIR, { recursive: true });
+    fs.writeFileSync(cached, Buffer.from(await res.arrayBuffer()));
+  }
+  return loadImage(cached);
+}
+
+/**
+ * Draw `image` into the rect so it fully covers it, cropping the overflow evenly.
+ */
+export function drawCover(ctx, image, { x, y, w, h }) {
+  const scale = Math.max(w / image.width, h / image.height);
+  const sw = w / scale;
+  const sh = h / scale;
+  const sx = (image.width - sw) / 2;
+  const sy = (image.height - sh) / 2;
+  ctx.drawImage(image, sx, sy, sw, sh, x, y, w, h);
+}
+
+// Card size of a layout: its own width/height, else its preset's
+function cardSize(layout) {
+  const size = PRESETS[layout.preset || "feed"] || PRESETS.feed;
+  return { width: layout.width || size.width, height: layout.height || size.height };
+}
+
+/**
+ * Template + article photo → canvas of the layout's card size, ready for the
+ * text overlay. The template is cover-fitted to that size and its photo window
+ * moves with it.
+ */
+export async function composeBase(templatePath, imageSource, layout = {}) {
+  const template = await loadTemplate(templatePath);
+  const { width: W, height: H } = cardSize(layout);
+  const scale = Math.max(W / template.width, H / template.height);
+  const dx = (W - template.width * scale) / 2;
+  const dy = (H - template.height * scale) / 2;
+
+  const canvas = new Canvas(W, H);
+  const ctx = canvas.getContext("2d");
+  const place = (image) => ctx.drawImage(image, dx, dy, template.width * scale, template.height * scale);
+  place(template.image);
+  if (imageSource) {
+    const photo = await loadArticleImage(imageSource);
+    const { x, y, w, h } = template.window;
+    drawCover(ctx, photo, {
+      x: Math.round(dx + x * scale),
+      y: Math.round(dy + y * scale),
+      w: Math.round(w * scale),
+      h: Math.round(h * scale),
+    });
+  }
+  place(template.overlay);
+  return canvas;
+}
+
+/**
+ * Template-free base: layout size (or its preset's), background colour,
+ * and the article photo cover-fitted into layout.photo when both exist.
+ */
+export async function composeBlank(layout, imageSource) {
+  const { width: W, height: H } = cardSize(layout);
+  const canvas = new Canvas(W, H);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = layout.background || "#ffffff";
+  ctx.fillRect(0, 0, W, H);
+  if (layout.photo && imageSource) {
+    const photo = await loadArticleImage(imageSource);
+    const l = Math.round(layout.photo.l * W);
+    const t = Math.round(layout.photo.t * H);
+    drawCover(ctx, photo, {
+      x: l,
+      y: t,
+      w: Math.round(layout.photo.r * W) - l,
+      h: Math.round(layout.photo.b * H) - t,
+    });
+  }
+  return canvas;
+}
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+/**
+ * domka — one command for the whole pipeline: score → render → publish
+ *
+ * Stages hand over through the run manifest (manifest.js): article keys,
+ * photocards and queued posts. `run` resumes from the first
+ * stage that did not finish; `--fresh` starts a new manifest.
+ *
+ * Run:
+ * node domka.js score   [--articles ../articles] [--scored ../articles/article_filtered-2.json]
+ * node domka.js render  [--out ../photocards/photocard-skia] [--template default]
+ *                       [--template-image ../templates/version-1.png] [--font ../fonts/HindSiliguri-Bold.ttf]
+ *                       [--presets feed,story,link] [--format png|jpeg|webp] [--quality 0.9] [--carousel]
+ * node domka.js publish [--limit 1]   (a --carousel render posts every feed slide)
+ *                       [--dry-run [--preview ../output/preview.html]]  (HTML preview, posts nothing)
+ *                       [--page-test]  (post to TEST_PAGE_ID instead of the configured targets)
+ *                       [--approved [--editor name]]  (only desk-approved articles, see editorial.js)
+ *                       (articles failing the policy gate are held for review, see policyGate.js)
+ * node domka.js run     [--fresh] [--from score|render|publish] + any option above
+ *
+ * Common: --manifest ../output/manifest.json
+ *
+ * Every command writes a run report (runReport.js, served on /metrics) with
+ * the stage timings and counters; LOG_FORMAT=json for machine-readable logs.
+ */
+
+import fs from "fs";
+import path from "path";
+import {
+  STAGES,
+  MANIFEST_PATH,
+  newManifest,
+  loadManifest,
+  saveManifest,
+  markStage,
+  resumeStage,
+  articleKey,
+} from "./manifest.js";
+import { manifestFeedCards } from "./cardFiles.js";
+import { createLogger } from "./logger.js";
+import { startRun, finishRun, timed } from "./runReport.js";
+
+const log = createLogger("domka");
+
+const [command, ...args] = process.argv.slice(2);
+function argVal(key, def) {
+  const i = args.indexOf(key);
+  return i >= 0 && args[i + 1] ? args[i + 1] : def;
+}
+function hasFlag(key) {
+  return args.includes(key);
+}
+
+const OPTS = {
+  manifest: argVal("--manifest", MANIFEST_PATH),
+  articles: argVal("--articles", "../articles"),
+  scored: argVal("--scored", "../articles/article_filtered-2.json"),
+  templateImage: argVal("--template-image", null),
+  outDir: argVal("--out", "../photocards/photocard-skia"),
+  font: argVal("--font", null),
+  template: argVal("--template", null),
+  presets: argVal("--presets", "feed").split(","),
+  format: argVal("--format", "png"),
+  quality: Number(argVal("--quality", "0.9")),
+  carousel: hasFlag("--carousel"),
+  limit: Number(argVal("--limit", process.env.PUBLISH_LIMIT || "1")),
+  dryRun: hasFlag("--dry-run"),
+  pageTest: hasFlag("--page-test"),
+  preview: argVal("--preview", null),
+  approved: hasFlag("--approved"),
+  editor: argVal("--editor", process.env.USER || "domka"),
+};
+
+function readScored(manifest) {
+  const scoredPath = manifest.scored_path || OPTS.scored;
+  const articles = JSON.parse(fs.readFileSync(scoredPath, "utf8"));
+  return new Map(articles.map((a) => [articleKey(a), a]));
+}
+
+// ---- stages ---------------------------------------------------------
+
+async function stageScore(manifest) {
+  const { scoreArticles } = await import("./articleProcessor.js");
+  const results = await scoreArticles({ folder: OPTS.articles, outPath: OPTS.scored });
+
+  // Images and posts are keyed by article ID, so earlier work carries over
+  const previous = new Map(manifest.articles.map((e) => [e.key, e]));
+  manifest.scored_path = OPTS.scored;
+  manifest.articles = results.map((a) => {
+    const prev = previous.get(articleKey(a));
+    return {
+      key: articleKey(a),
+      title: a.article_title,
+      score: a.score,
+      photocard: prev?.photocard || null,
+      posts: prev?.posts || [],
+    };
+  });
+  return { articles: results.length };
+}
+
+async function stageRender(manifest) {
+  const { renderCards } = await import("./photocard-cli-skia.js");
+  const scored = readScored(manifest);
+  const jobs = [];
+  manifest.articles.forEach((entry) => {
+    if (entry.photocard && fs.existsSync(entry.photocard)) return; // resumed run
+    jobs.push({
+      key: entry.key,
+      article: scored.get(entry.key),
+      outDir: OPTS.outDir,
+    });
+  });
+
+  const results = await renderCards(jobs, {
+    template: OPTS.template,
+    templateImage: OPTS.templateImage,
+    fontPath: OPTS.font,
+    presets: OPTS.presets,
+    format: OPTS.format,
+    quality: OPTS.quality,
+    carousel: OPTS.carousel,
+  });
+  const byKey = new Map(manifest.articles.map((e) => [e.key, e]));
+  for (const r of results) {
+    const entry = byKey.get(r.key);
+    if (r.ok) {
+      entry.photocard = r.outputPath;
+      entry.media = r.outputs.map(({ preset, slide, path: p }) => ({ preset, slide, path: p }));
+    }
+    entry.warnings = r.warnings || [];
+  }
+  return {
+    rendered: results.filter((r) => r.ok).length,
+    skipped: results.filter((r) => !r.ok).length,
+    overflowed: results.filter((r) => r.warnings?.length).length,
+  };
+}
+
+async function stagePublish(manifest) {
+  const { planArticle, publishArticle, jobHandlers } = await import("./facebookPoster.js");
+  const { runDueJobs, listJobs } = await import("./jobQueue.js");
+  const { loadTargets, testTarget } = await import("./targets.js");
+  const scored = readScored(manifest);
+  const targets = OPTS.pageTest ? [testTarget()] : loadTargets();
+
+  let ready = manifest.articles.filter((e) => e.photocard && !e.posts.length);
+  let editorial = null;
+  if (OPTS.approved) {
+    // Only what the desk approved, in the desk's order, with its caption edits
+    editorial = await import("./editorial.js");
+    const byKey = new Map(ready.map((e) => [e.key, e]));
+    ready = editorial.approvedIds(manifest.scored_path || OPTS.scored).map((id) => byKey.get(id)).filter(Boolean);
+  }
+  // Policy gate (policyGate.js): what fails goes to the review queue instead
+  const { gateArticles } = await import("./policyGate.js");
+  const byArticle = new Map(ready.map((e) => [scored.get(e.key), e]));
+  const gate = await gateArticles([...byArticle.keys()], {
+    limit: OPTS.limit,
+    record: !OPTS.dryRun,
+    scoredPath: manifest.scored_path || OPTS.scored,
+  });
+  for (const { article, reasons } of gate.held) byArticle.get(article).held = reasons;
+
+  const batch = gate.allowed.map((scoredArticle) => {
+    const entry = byArticle.get(scoredArticle);
+    const article = editorial ? editorial.reviewedArticle(scoredArticle) : scoredArticle;
+    return { entry, input: { article, localImagePaths: manifestFeedCards(entry) } };
+  });
+
+  if (OPTS.dryRun) {
+    const { writePreview, PREVIEW_PATH } = await import("./preview.js");
+    const plans = batch.flatMap(({ input }) => planArticle(input, targets));
+    const preview = writePreview(plans, OPTS.preview || PREVIEW_PATH);
+    log.info(`👀 Dry run: nothing posted — review ${preview}`);
+    return { dry_run: true, previewed_posts: plans.length, held: gate.held.length, preview };
+  }
+
+  for (const { entry, input } of batch) {
+    const jobs = publishArticle(input, targets);
+    // Test Page posts are kept apart, so the article still goes to the real Pages later
+    entry[OPTS.pageTest ? "test_posts" : "posts"] = jobs.map((j) => ({
+      target: j.payload.target,
+      jobId: j.id,
+      postId: null,
+    }));
+    if (editorial && !OPTS.pageTest && jobs.length) {
+      editorial.markQueued(entry.key, jobs.map((j) => j.id), OPTS.editor);
+    }
+  }
+  saveManifest(manifest, OPTS.manifest);
+
+  await runDueJobs(jobHandlers);
+
+  // Copy post IDs back from finished publish jobs
+  const jobsById = new Map(listJobs({ type: "publish" }).map((j) => [j.id, j]));
+  let queued = 0;
+  for (const entry of manifest.articles) {
+    for (const post of [...entry.posts, ...(entry.test_posts || [])]) {
+      const job = jobsById.get(post.jobId);
+      if (job?.status === "done") post.postId = job.result?.postId || null;
+      else if (job?.status === "failed") post.error = job.lastError;
+      else queued++;
+    }
+  }
+  return { queued_articles: batch.length, held: gate.held.length, pending_jobs: queued };
+}
+
+const HANDLERS = {
+  score: stageScore,
+  render: stageRender,
+  publish: stagePublish,
+};
+
+async function runStage(manifest, stage) {
+  log.info(`▶️ Stage: ${stage}`);
+  markStage(manifest, stage, "running");
+  saveManifest(manifest, OPTS.manifest);
+  try {
+    const stats = await timed(stage, () => HANDLERS[stage](manifest));
+    // A dry run leaves the stage to do for real
+    markStage(manifest, stage, stats.dry_run ? "pending" : "done", stats);
+    log.info(`✅ ${stage}`, stats);
+  } catch (err) {
+    markStage(manifest, stage, "failed", { error: err.message });
+    throw err;
+  } finally {
+    saveManifest(manifest, OPTS.manifest);
+  }
+}
+
+// ---- main -----------------------------------------------------------
+
+async function main() {
+  const manifest = hasFlag("--fresh") ? newManifest() : loadManifest(OPTS.manifest);
+
+  if (command === "score") return runStage(manifest, "score");
+  if (command === "render") return runStage(manifest, "render");
+  if (command === "publish") return runStage(manifest, "publish");
+  if (command === "run") {
+    const from = argVal("--from", null) || resumeStage(manifest);
+    if (!from) {
+      log.info("✅ Nothing to do — every stage is done (use --fresh for a new run)");
+      return;
+    }
+    if (!STAGES.includes(from)) throw new Error(`Unknown stage: ${from}`);
+    if (from !== "score") log.info(`♻️ Resuming from stage: ${from}`);
+    for (const stage of STAGES.slice(STAGES.indexOf(from))) {
+      await runStage(manifest, stage);
+    }
+    return;
+  }
+
+  console.log("Usage: domka <score|render|publish|run> [options] (see domka.js header)");
+  process.exitCode = 1;
+}
+
+if (HANDLERS[command] || command === "run") startRun(`domka-${command}`);
+main().then(
+  () => {
+    const report = finishRun();
+    if (report) log.info(`📋 Run report: ${report}`);
+  },
+  (err) => {
+    log.error("❌ Error", { err });
+    finishRun({ error: err });
+    process.exitCode = 1;
+  }
+);
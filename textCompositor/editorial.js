@@ -0,0 +1,274 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { idOf } from "./articleId.js";
+import { loadManifest } from "./manifest.js";
+import { feedCards, manifestFeedCards } from "./cardFiles.js";
+import { withFileLock } from "./fileLock.js";
+
+dotenv.config();
+
+/**
+ * Editorial review of scored articles before anything is posted
+ * (REVIEW_PATH, default ../data/review.json; served by index.js under /review).
+ *
+ * Scored articles (SCORED_PATH, default ../articles/article_filtered-2.json) stay
+ * as the model wrote them; the desk's work lives next to them, keyed by article ID:
+ *
+ * { "items": { "<id>": { "status": "pending" | "held" | "approved" | "rejected" | "queued",
+ *                         "caption": "edited caption" | null, "position": 0,
+ *                         "jobIds": [...], "policy": { "reasons", "labels", "at" },
+ *                         "history": [{ "action", "editor", "at", "from", "to", "note" }] } } }
+ *
+ * Every change records the editor and a timestamp. Only "approved" items are
+ * handed to the publish pipeline (POST /review/publish, domka publish --approved),
+ * in the desk's order.
+ *
+ * "held" items were stopped by the policy gate (policyGate.js) with its reasons;
+ * approving one lets it through, rejecting keeps it off the Pages.
+ *
+ * The server, domka, the policy gate and the poster all change review.json, so
+ * every change holds its lockfile (fileLock.js).
+ */
+
+const REVIEW_PATH = process.env.REVIEW_PATH || "../data/review.json";
+export const SCORED_PATH = process.env.SCORED_PATH || "../articles/article_filtered-2.json";
+export const CARDS_DIR = process.env.CARDS_DIR || "../photocards/photocard-skia";
+
+export const DECISIONS = ["approved", "rejected", "pending"];
+// Editor name on the policy gate's history entries
+export const GATE_EDITOR = "policy-gate";
+
+function reviewError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function readReview() {
+  if (!fs.existsSync(REVIEW_PATH)) return { items: {} };
+  return JSON.parse(fs.readFileSync(REVIEW_PATH, "utf8"));
+}
+
+function writeReview(review) {
+  fs.mkdirSync(path.dirname(REVIEW_PATH), { recursive: true });
+  const tmp = `${REVIEW_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(review, null, 2));
+  fs.renameSync(tmp, REVIEW_PATH);
+}
+
+// Read-modify-write under the lock (fileLock.js); returns what fn returns
+function withReview(fn) {
+  return withFileLock(REVIEW_PATH, () => {
+    const review = readReview();
+    const value = fn(review);
+    writeReview(review);
+    return value;
+  });
+}
+
+export function scoredArticles(scoredPath = SCORED_PATH) {
+  if (!fs.existsSync(scoredPath)) return [];
+  const data = JSON.parse(fs.readFileSync(scoredPath, "utf8"));
+  return Array.isArray(data) ? data : data.articles || [];
+}
+
+export function requireEditor(editor) {
+  const name = String(editor || "").trim();
+  if (!name) throw reviewError("⚠️ Editor name is required", 400);
+  return name;
+}
+
+function itemFor(review, id) {
+  if (!review.items[id]) {
+    review.items[id] = { status: "pending", caption: null, position: null, jobIds: [], history: [] };
+  }
+  return review.items[id];
+}
+
+function record(item, editor, action, extra = {}) {
+  item.history.push({ action, editor, at: new Date().toISOString(), ...extra });
+}
+
+/**
+ * Read-modify-write one article's review item; unknown IDs are rejected
+ * so a typo can't approve a story that was never scored.
+ */
+function update(id, editor, fn, scoredPath = SCORED_PATH) {
+  const name = requireEditor(editor);
+  if (!scoredArticles(scoredPath).some((a) => idOf(a) === id)) {
+    throw reviewError(`⚠️ Unknown article: ${id}`, 404);
+  }
+  return withReview((review) => {
+    const item = itemFor(review, id);
+    fn(item, name);
+    return item;
+  });
+}
+
+/**
+ * An article's feed card and carousel slides, in slide order: what the domka
+ * render stage recorded in the manifest, else whatever is in `cardsDir`
+ * (any format, see cardFiles.js). [] when nothing was rendered.
+ */
+export function photocardsFor(id, { cardsDir = CARDS_DIR, manifest = loadManifest() } = {}) {
+  const entry = manifest.articles.find((e) => e.key === id);
+  const fromManifest = manifestFeedCards(entry).filter((p) => fs.existsSync(p));
+  return fromManifest.length ? fromManifest : feedCards(id, cardsDir);
+}
+
+/**
+ * Scored articles merged with their review state, in desk order:
+ * explicit positions first, then by score. Filter with `status`.
+ */
+export function listReview({ status = null, scoredPath = SCORED_PATH, cardsDir = CARDS_DIR } = {}) {
+  const review = readReview();
+  const manifest = loadManifest();
+  const rows = scoredArticles(scoredPath).map((article) => {
+    const id = idOf(article);
+    const item = review.items[id] || { status: "pending", caption: null, position: null, jobIds: [], history: [] };
+    const cards = photocardsFor(id, { cardsDir, manifest });
+    return {
+      id,
+      title: article.article_title,
+      source: article.source || article.domain || null,
+      url: article.url,
+      score: article.score ?? null,
+      caption: item.caption ?? article.caption ?? "",
+      original_caption: article.caption ?? "",
+      caption_variants: article.captions || [],
+      photocard: cards[0] || null,
+      photocards: cards,
+      status: item.status,
+      policy: item.policy || null,
+      position: item.position,
+      jobIds: item.jobIds || [],
+      history: item.history,
+    };
+  });
+  rows.sort(
+    (a, b) =>
+      (a.position ?? Infinity) - (b.position ?? Infinity) || (b.score ?? 0) - (a.score ?? 0)
+  );
+  return status ? rows.filter((r) => r.status === status) : rows;
+}
+
+export function editCaption(id, caption, editor, scoredPath = SCORED_PATH) {
+  const text = String(caption ?? "").trim();
+  if (!text) throw reviewError("⚠️ Caption must not be empty", 400);
+  return update(
+    id,
+    editor,
+    (item, name) => {
+      if (item.status === "queued") throw reviewError("⚠️ Already queued for publishing", 409);
+      record(item, name, "caption", { from: item.caption, to: text });
+      item.caption = text;
+    },
+    scoredPath
+  );
+}
+
+/**
+ * Approve, reject, or send back to "pending". Queued items can't be changed.
+ */
+export function decide(id, status, editor, note = null, scoredPath = SCORED_PATH) {
+  if (!DECISIONS.includes(status)) {
+    throw reviewError(`⚠️ Unknown decision: ${status} (${DECISIONS.join(", ")})`, 400);
+  }
+  return update(
+    id,
+    editor,
+    (item, name) => {
+      if (item.status === "queued") throw reviewError("⚠️ Already queued for publishing", 409);
+      record(item, name, status, { from: item.status, to: status, ...(note ? { note } : {}) });
+      item.status = status;
+    },
+    scoredPath
+  );
+}
+
+/**
+ * Put `ids` first, in that order; everything else keeps its relative order after them.
+ */
+export function reorder(ids, editor, scoredPath = SCORED_PATH) {
+  const name = requireEditor(editor);
+  if (!Array.isArray(ids) || !ids.length) throw reviewError("⚠️ ids must be a non-empty array", 400);
+  const known = new Set(scoredArticles(scoredPath).map(idOf));
+  const unknown = ids.filter((id) => !known.has(id));
+  if (unknown.length) throw reviewError(`⚠️ Unknown article(s): ${unknown.join(", ")}`, 404);
+
+  withReview((review) => {
+    const rest = listReview({ scoredPath }).map((r) => r.id).filter((id) => !ids.includes(id));
+    [...ids, ...rest].forEach((id, position) => {
+      const item = itemFor(review, id);
+      if (item.position !== position && ids.includes(id)) {
+        record(item, name, "reorder", { from: item.position, to: position });
+      }
+      item.position = position;
+    });
+  });
+  return listReview({ scoredPath });
+}
+
+/**
+ * Stop an article at the policy gate: status "held" with the reasons, for the desk to decide.
+ * Items the desk already decided on are left alone.
+ */
+export function hold(id, reasons, labels = [], scoredPath = SCORED_PATH) {
+  return update(
+    id,
+    GATE_EDITOR,
+    (item, name) => {
+      if (item.status !== "pending") return;
+      item.policy = { reasons, labels, at: new Date().toISOString() };
+      record(item, name, "held", { from: item.status, to: "held", note: reasons.join("; ") });
+      item.status = "held";
+    },
+    scoredPath
+  );
+}
+
+/**
+ * Review items per status ({ held: 2, approved: 5, … }); untouched articles aren't counted.
+ */
+export function reviewCounts() {
+  const counts = {};
+  for (const item of Object.values(readReview().items)) counts[item.status] = (counts[item.status] || 0) + 1;
+  return counts;
+}
+
+/**
+ * The review item for one article, or null when the desk never touched it.
+ */
+export function reviewItem(id) {
+  return readReview().items[id] || null;
+}
+
+/**
+ * The article as the desk left it (edited caption applied, replacing the model's variants).
+ */
+export function reviewedArticle(article) {
+  const item = readReview().items[idOf(article)];
+  return item?.caption ? { ...article, caption: item.caption, captions: [item.caption] } : article;
+}
+
+/**
+ * Approved article IDs in desk order.
+ */
+export function approvedIds(scoredPath = SCORED_PATH) {
+  return listReview({ status: "approved", scoredPath }).map((r) => r.id);
+}
+
+/**
+ * Mark an approved item as handed to the job queue.
+ */
+export function markQueued(id, jobIds, editor) {
+  const name = requireEditor(editor);
+  return withReview((review) => {
+    const item = itemFor(review, id);
+    record(item, name, "queued", { from: item.status, to: "queued", jobIds });
+    item.status = "queued";
+    item.jobIds = jobIds;
+    return item;
+  });
+}
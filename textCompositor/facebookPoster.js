@@ -1,67 +1,79 @@
 import fs from "fs";
-import axios from "axios";
+import path from "path";
 import dotenv from "dotenv";
 import FormData from "form-data";
+import { pathToFileURL } from "url";
+import { loadTargets, targetsForArticle, findTarget, resolvePage, testTarget } from "./targets.js";
+import { enqueue, listJobs, runDueJobs, saveProgress } from "./jobQueue.js";
+import { idOf } from "./articleId.js";
+import { photocardsFor, CARDS_DIR } from "./editorial.js";
+import { graph, DuplicatePostError } from "./graphClient.js";
+import { writePreview, PREVIEW_PATH } from "./preview.js";
+import { instagramPublisher, telegramPublisher } from "./publishers.js";
+import { composePost } from "./captionComposer.js";
+import { insightsJob } from "./insights.js";
+import { createLogger } from "./logger.js";
+import { startRun, finishRun, count } from "./runReport.js";
 
 dotenv.config();
 
-const PAGE_ID = process.env.PAGE_ID; // must be a Page ID
-const ACCESS_TOKEN = process.env.ACCESS_TOKEN; // must be a PAGE access token
+const log = createLogger("poster");
 
-if (!PAGE_ID || !ACCESS_TOKEN) {
-  throw new Error("⚠️ Missing PAGE_ID or ACCESS_TOKEN in .env");
+const args = process.argv.slice(2);
+function argVal(key, def) {
+  const i = args.indexOf(key);
+  return i >= 0 && args[i + 1] ? args[i + 1] : def;
 }
 
 // ---- helpers --------------------------------------------------------
 
+// Every helper takes `page` = { pageId, token } (see targets.js → resolvePage).
+// Calls go through graphClient.js (retries, rate limits, typed errors); uploads
+// pass a form *builder* so a retry re-opens the file stream.
+
 /**
  * Upload a local file as an UNPUBLISHED photo and return its media_fbid
  * Use this when you plan to create the feed post (immediate or scheduled) via /feed.
  */
-async function uploadUnpublishedPhoto(localPath) {
-  const form = new FormData();
-  form.append("source", fs.createReadStream(localPath));
-  form.append("published", "false"); // IMPORTANT
-  form.append("access_token", ACCESS_TOKEN);
-
-  const res = await axios.post(
-    `https://graph.facebook.com/v24.0/${PAGE_ID}/photos`,
-    form,
-    { headers: form.getHeaders() }
-  );
-  // res.data.id is the media_fbid
-  return res.data.id;
+async function uploadUnpublishedPhoto(page, localPath) {
+  const form = () => {
+    const f = new FormData();
+    f.append("source", fs.createReadStream(localPath));
+    f.append("published", "false"); // IMPORTANT
+    return f;
+  };
+
+  const data = await graph.post(`${page.pageId}/photos`, form, { token: page.token });
+  // data.id is the media_fbid
+  return data.id;
 }
 
 /**
  * Create a feed post that attaches one or more previously uploaded (unpublished) photos.
  * If scheduledTime is provided (unix seconds), the post will be scheduled.
  */
-async function createFeedPostWithMedia({
-  message,
-  mediaFbids = [],
-  scheduledTime = null,
-}) {
-  const form = new FormData();
-  form.append("message", message);
-  form.append("access_token", ACCESS_TOKEN);
-
-  // attached_media must be indexed fields with JSON string values
-  mediaFbids.forEach((fbid, i) => {
-    form.append(`attached_media[${i}]`, JSON.stringify({ media_fbid: fbid }));
-  });
+async function createFeedPostWithMedia(
+  page,
+  { message, mediaFbids = [], scheduledTime = null }
+) {
+  const form = () => {
+    const f = new FormData();
+    f.append("message", message);
 
-  if (scheduledTime) {
-    form.append("published", "false");
-    form.append("scheduled_publish_time", String(scheduledTime)); // >= now+600s
-  }
+    // attached_media must be indexed fields with JSON string values
+    mediaFbids.forEach((fbid, i) => {
+      f.append(`attached_media[${i}]`, JSON.stringify({ media_fbid: fbid }));
+    });
 
-  const res = await axios.post(
-    `https://graph.facebook.com/v24.0/${PAGE_ID}/feed`,
-    form,
-    { headers: form.getHeaders() }
-  );
-  return res.data.id; // post_id
+    if (scheduledTime) {
+      f.append("published", "false");
+      f.append("scheduled_publish_time", String(scheduledTime)); // >= now+600s
+    }
+    return f;
+  };
+
+  const data = await graph.post(`${page.pageId}/feed`, form, { token: page.token });
+  return data.id; // post_id
 }
 
 /**
@@ -69,84 +81,340 @@ async function createFeedPostWithMedia({
  * Upload as PUBLISHED with a caption — this ALREADY creates the feed post.
  * Do NOT call /feed afterwards for the same image.
  */
-async function postSinglePhotoNow({ localPath, caption }) {
-  const form = new FormData();
-  form.append("source", fs.createReadStream(localPath));
-  form.append("caption", caption);
-  // default published=true when omitted
-  form.append("access_token", ACCESS_TOKEN);
-
-  const res = await axios.post(
-    `https://graph.facebook.com/v24.0/${PAGE_ID}/photos`,
-    form,
-    { headers: form.getHeaders() }
-  );
-  // res.data has { id (photo_id), post_id }
-  return res.data.post_id;
+async function postSinglePhotoNow(page, { localPath, caption }) {
+  const form = () => {
+    const f = new FormData();
+    f.append("source", fs.createReadStream(localPath));
+    f.append("caption", caption);
+    // default published=true when omitted
+    return f;
+  };
+
+  const data = await graph.post(`${page.pageId}/photos`, form, { token: page.token });
+  // data has { id (photo_id), post_id }
+  return data.post_id;
 }
 
-async function addComment(postId, message) {
-  const res = await axios.post(
-    `https://graph.facebook.com/v24.0/${postId}/comments`,
-    { message, access_token: ACCESS_TOKEN }
-  );
-  return res.data.id; // comment_id
+async function addComment(page, postId, message) {
+  const data = await graph.post(`${postId}/comments`, { message }, { token: page.token });
+  return data.id; // comment_id
 }
 
-// ---- main example ---------------------------------------------------
+async function isPublished(page, postId) {
+  const data = await graph.get(postId, { fields: "is_published" }, { token: page.token });
+  return data.is_published !== false;
+}
 
-async function main() {
-  // Load your article data
-  const data = fs.readFileSync("../articles/article_filtered-2.json", "utf-8");
-  const articles = JSON.parse(data);
+// ---- scheduling -----------------------------------------------------
 
-  const localImagePath = "../photocards/photocard-skia/3.png";
-  const caption = `${articles[2].caption}\nবিস্তারিত কমেন্টে`;
+const MIN_SCHEDULE_LEAD_S = 10 * 60 + 60; // Graph requires >= now+600s; keep a minute spare
+const COMMENT_DELAY_MS = 2 * 60 * 1000; // give a scheduled post time to go live
 
-  // OPTION A: Immediate single-photo post (one call)
-  // -----------------------------------------------
-  // const postId = await postSinglePhotoNow({ localPath: localImagePath, caption });
-  // console.log("✅ Posted (single photo):", postId);
-  // await addComment(postId, `${articles[1].url} || ${articles[2].article_body.slice(0, 111)}`);
+/**
+ * Next occurrence of best_post_time_utc ("HH:MM") as unix seconds.
+ * Returns null (publish immediately) when the value is missing or malformed.
+ */
+function scheduledTimeFor(bestPostTimeUtc, now = Date.now()) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(bestPostTimeUtc || "").trim());
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+  const t = new Date(now);
+  t.setUTCHours(Number(m[1]), Number(m[2]), 0, 0);
+  const earliest = now + MIN_SCHEDULE_LEAD_S * 1000;
+  while (t.getTime() < earliest) t.setUTCDate(t.getUTCDate() + 1);
+  return Math.floor(t.getTime() / 1000);
+}
+
+// Round-robin over an article's caption variants, per target: the Nth post
+// queued for a target uses variant N (wrapped by composePost)
+function nextVariant(targetName) {
+  return listJobs({ type: "publish" }).filter((j) => j.payload.target === targetName).length;
+}
 
-  // OPTION B: Schedule (or multi-photo) via /feed (two calls)
-  // ---------------------------------------------------------
-  try {
-    // 1) Upload as UNPUBLISHED
-    const mediaFbid = await uploadUnpublishedPhoto(localImagePath);
-    console.log("✅ Unpublished photo uploaded:", mediaFbid);
+// ---- publisher adapters ---------------------------------------------
+
+/**
+ * Facebook Page adapter (see publishers.js for the shared shape):
+ * unpublished photo upload(s) → /feed post, natively scheduled;
+ * the link goes in the first comment, since links in captions cut reach.
+ */
+const facebookPublisher = {
+  platform: "facebook",
+  rules: { captionMax: 63206, hashtagMax: null, linksInCaption: false, firstComment: true, nativeScheduling: true },
+
+  format({ caption, comment }) {
+    return { caption, comment };
+  },
+
+  async publish(target, { images, caption, scheduledTime }) {
+    const page = resolvePage(target);
+    // A retry may land after the planned slot: fall back to immediate publish
+    if (scheduledTime && scheduledTime * 1000 < Date.now() + 600 * 1000) {
+      scheduledTime = null;
+    }
+    // 1) Upload as UNPUBLISHED (several for a carousel)
+    const mediaFbids = [];
+    for (const p of images) {
+      mediaFbids.push(await uploadUnpublishedPhoto(page, p));
+    }
+    log.info(`✅ [${target.name}] Unpublished photo(s) uploaded: ${mediaFbids.join(", ")}`);
 
     // 2) Create the feed post (scheduled or immediate)
-    //    - To schedule: must be >= now + 600s
-    let scheduledTime;
-    // scheduledTime = Math.floor(Date.now() / 1000) + 60 * 10; // 10 mins later
-    const postId = await createFeedPostWithMedia({
-      message: caption,
-      mediaFbids: [mediaFbid],
-      scheduledTime, // set to null for immediate publish via /feed
-    });
-    console.log("✅ Feed post created:", postId);
-
-    // 3) If immediate publish (scheduledTime=null), you can add a comment right away.
-    //    If scheduled, you may want to queue a separate job to comment after it goes live.
-    if (!scheduledTime) {
-      await addComment(
-        postId,
-        `${articles[2].url} || ${articles[2].article_body.slice(0, 111)}`
-      );
-      console.log("💬 Comment added");
-    } else {
-      console.log("⏰ Post is scheduled; comment later when it’s live.");
+    const postId = await createFeedPostWithMedia(page, { message: caption, mediaFbids, scheduledTime });
+    return { postId, scheduledTime };
+  },
+
+  isLive(target, postId) {
+    return isPublished(resolvePage(target), postId);
+  },
+
+  comment(target, postId, message) {
+    return addComment(resolvePage(target), postId, message);
+  },
+
+  // Recent and scheduled Page posts with this exact message
+  async findPost(target, { caption }) {
+    const page = resolvePage(target);
+    const { data: recent = [] } = await graph.get(
+      `${page.pageId}/feed`,
+      { fields: "id,message", limit: 25 },
+      { token: page.token }
+    );
+    const { data: scheduled = [] } = await graph.get(
+      `${page.pageId}/scheduled_posts`,
+      { fields: "id,message,scheduled_publish_time", limit: 25 },
+      { token: page.token }
+    );
+    const post = [...recent, ...scheduled].find((p) => p.message === caption);
+    if (!post) return null;
+    return { postId: post.id, scheduledTime: post.scheduled_publish_time ? Number(post.scheduled_publish_time) : null };
+  },
+
+  async findComment(target, postId, message) {
+    const page = resolvePage(target);
+    const { data = [] } = await graph.get(`${postId}/comments`, { fields: "id,message", limit: 100 }, { token: page.token });
+    return data.find((c) => c.message === message)?.id || null;
+  },
+};
+
+const PUBLISHERS = {
+  facebook: facebookPublisher,
+  instagram: instagramPublisher,
+  telegram: telegramPublisher,
+};
+
+function publisherFor(target) {
+  const publisher = PUBLISHERS[target.platform || "facebook"];
+  if (!publisher) {
+    throw new Error(
+      `⚠️ Unknown platform "${target.platform}" for ${target.name} (available: ${Object.keys(PUBLISHERS).join(", ")})`
+    );
+  }
+  return publisher;
+}
+
+// ---- queue jobs -----------------------------------------------------
+
+/**
+ * Handlers for jobQueue.js, shared by every process that runs the queue
+ * (jobWorker.js, facebookPoster.js, domka publish). Payloads carry the target
+ * *name* only; tokens are resolved at run time so the queue file holds no secrets.
+ */
+const jobHandlers = {
+  // Post through the target's platform adapter, then queue the first comment.
+  // The post ID is saved on the job (saveProgress) before the follow-up steps, so a
+  // retry or a recovered job never posts twice; without one, a retry first looks
+  // for the post in case the failed attempt went through.
+  async publish({ target: name, localImagePath, localImagePaths, caption, comment, scheduledTime }, job) {
+    const target = findTarget(name);
+    const publisher = publisherFor(target);
+    const progress = job?.progress || {};
+    try {
+      let result = progress.postId ? { postId: progress.postId, scheduledTime: progress.scheduledTime ?? null } : null;
+      if (!result && job?.attempts > 1 && publisher.findPost) {
+        result = await publisher.findPost(target, { caption });
+        if (result) log.info(`➡️ [${name}] Found the post from an earlier attempt: ${result.postId}`);
+      }
+      if (!result) {
+        result = await publisher.publish(target, {
+          images: localImagePaths || [localImagePath],
+          caption,
+          scheduledTime,
+        });
+        log.info(
+          result.scheduledTime
+            ? `⏰ [${name}] Post scheduled for ${new Date(result.scheduledTime * 1000).toISOString()}: ${result.postId}`
+            : `✅ [${name}] ${publisher.platform} post created: ${result.postId}`
+        );
+      }
+      if (job && !progress.postId) saveProgress(job.id, { postId: result.postId, scheduledTime: result.scheduledTime });
+
+      // Comment once the post is live
+      if (comment && publisher.rules.firstComment && !progress.commentJobId) {
+        const runAt = result.scheduledTime ? result.scheduledTime * 1000 + COMMENT_DELAY_MS : Date.now();
+        const next = enqueue("comment", { target: name, postId: result.postId, message: comment }, { runAt, maxAttempts: 8 });
+        if (job) saveProgress(job.id, { commentJobId: next.id });
+      }
+      return result;
+    } catch (err) {
+      // Gracefully handle duplicate re-post attempts
+      if (err instanceof DuplicatePostError) {
+        log.info(`➡️ [${name}] Already posted. Skipping duplicate.`);
+        return { postId: null, duplicate: true };
+      }
+      throw err;
     }
-  } catch (err) {
-    const e = err?.response?.data || err;
-    // Gracefully handle duplicate re-post attempts
-    if (e?.error?.error_subcode === 1366051) {
-      console.log("➡️ Already posted. Skipping duplicate.");
-    } else {
-      console.error("❌ Error:", e);
+  },
+
+  async comment({ target: name, postId, message }, job) {
+    const target = findTarget(name);
+    const publisher = publisherFor(target);
+    if (!(await publisher.isLive(target, postId))) {
+      throw new Error(`Post ${postId} is not live yet`);
     }
+    const existing =
+      job?.attempts > 1 && publisher.findComment ? await publisher.findComment(target, postId, message) : null;
+    if (existing) return { commentId: existing };
+    const commentId = await publisher.comment(target, postId, message);
+    log.info(`💬 [${name}] Comment added: ${commentId}`);
+    return { commentId };
+  },
+
+  // Post insights collection (insights.js); re-queues itself
+  insights: insightsJob,
+};
+
+/**
+ * Resolve article → images → caption → comment for every target whose filters
+ * match it, without posting: [{ target, title, payload }] (payload = publish job).
+ * Caption and comment are composed per target (captionComposer.js: variant, call
+ * to action, hashtags, UTM link, excerpt), rotating the article's caption variants;
+ * pass `variant` to pin one, or `caption` to post that text as is. Each target's
+ * adapter then fits them to its platform (length, links, first comment).
+ * The variant used is recorded as payload.caption_variant.
+ * The post is scheduled at the article's best_post_time_utc (immediate if absent).
+ * Pass localImagePaths instead of localImagePath for a multi-photo (carousel) post.
+ * Photocards must be named after the article's ID, so a card can never
+ * go out with another story's caption.
+ */
+function planArticle({ article, localImagePath, localImagePaths, caption, variant }, targets = loadTargets()) {
+  const id = idOf(article);
+  const images = localImagePaths || [localImagePath];
+  for (const p of images) {
+    if (!path.basename(p).startsWith(id)) {
+      throw new Error(`⚠️ Photocard ${p} does not belong to article ${id}`);
+    }
+  }
+  const matching = targetsForArticle(article, targets);
+  if (!matching.length) {
+    log.info(`➡️ No target matches ${article.domain}/${article.category_bn}. Skipping.`, { id });
   }
+  const scheduledTime = scheduledTimeFor(article.best_post_time_utc);
+  return matching.map((target) => {
+    const publisher = publisherFor(target);
+    const post = composePost(article, { target, rules: publisher.rules, variant: variant ?? nextVariant(target.name) });
+    if (caption) Object.assign(post, { caption, text: caption, variant: null });
+    const formatted = publisher.format({ article, ...post });
+    return {
+      target,
+      title: article.article_title,
+      payload: {
+        target: target.name,
+        platform: publisher.platform,
+        articleId: id,
+        localImagePaths: images,
+        caption: formatted.caption,
+        comment: formatted.comment,
+        caption_variant: post.variant,
+        scheduledTime,
+        // What the model predicted, kept with the post for insights.js
+        prediction: {
+          score: article.score ?? null,
+          best_post_time_utc: article.best_post_time_utc || null,
+          model: article.model || null,
+          prompt_version: article.prompt_version || null,
+        },
+      },
+    };
+  });
+}
+
+/**
+ * Queue one article for every target whose filters match it (see planArticle).
+ * Platforms without native scheduling get their job queued at the planned time.
+ */
+function publishArticle(input, targets = loadTargets()) {
+  return planArticle(input, targets).map(({ target, payload }) => {
+    const queueAtSlot = payload.scheduledTime && !publisherFor(target).rules.nativeScheduling;
+    count("posts_queued");
+    return enqueue("publish", payload, queueAtSlot ? { runAt: payload.scheduledTime * 1000 } : {});
+  });
 }
 
-main();
+// ---- main example ---------------------------------------------------
+
+// --dry-run: write the HTML preview (--preview path) instead of posting
+// --page-test: post to the test Page (TEST_PAGE_ID) instead of the configured targets
+async function main() {
+  // Load your article data; pick one with --id <articleId> (default: top score)
+  const data = fs.readFileSync("../articles/article_filtered-2.json", "utf-8");
+  const articles = JSON.parse(data);
+  const wantedId = argVal("--id", null);
+  const article = wantedId ? articles.find((a) => idOf(a) === wantedId) : articles[0];
+  if (!article) throw new Error(`⚠️ Article not found: ${wantedId}`);
+
+  // Feed card plus carousel slides, in whatever format they were rendered
+  const localImagePaths = photocardsFor(idOf(article), { cardsDir: argVal("--cards", CARDS_DIR) });
+  if (!localImagePaths.length) throw new Error(`⚠️ No photocard rendered for ${idOf(article)}`);
+
+  // Schedule via /feed through the job queue, once per matching target
+  const targets = args.includes("--page-test") ? [testTarget()] : loadTargets();
+  if (!targets.length) {
+    throw new Error("⚠️ No targets: create targets.json or set PAGE_ID/ACCESS_TOKEN in .env");
+  }
+  // Policy gate: a held article waits in the review queue (editorial.js) instead
+  const { gateArticles } = await import("./policyGate.js");
+  const { allowed, held, skipped } = await gateArticles([article], { record: !args.includes("--dry-run") });
+  if (!allowed.length) {
+    if (held.length) log.info(`🛑 Not posted — held for review: ${held[0].reasons.join("; ")}`);
+    else if (skipped.length) log.info(`🛑 Not posted — the review desk has it as "${skipped[0].status}"`);
+    return;
+  }
+  if (args.includes("--dry-run")) {
+    const plans = planArticle({ article, localImagePaths }, targets);
+    const out = writePreview(plans, argVal("--preview", PREVIEW_PATH));
+    log.info(`👀 Dry run: ${plans.length} post(s) previewed in ${out} — nothing was posted`);
+    return;
+  }
+  const jobs = publishArticle({ article, localImagePaths }, targets);
+  log.info(`📋 Queued ${jobs.length} publish job(s)`);
+
+  await runDueJobs(jobHandlers);
+  const pending = listJobs({ status: "pending" }).length;
+  if (pending) {
+    log.info(`⏰ ${pending} job(s) pending — keep \`node jobWorker.js\` running to deliver them.`);
+  }
+}
+
+export {
+  uploadUnpublishedPhoto,
+  createFeedPostWithMedia,
+  postSinglePhotoNow,
+  addComment,
+  scheduledTimeFor,
+  planArticle,
+  publishArticle,
+  publisherFor,
+  jobHandlers,
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startRun("publish");
+  main().then(
+    () => log.info(`📋 Run report: ${finishRun()}`),
+    (err) => {
+      log.error("❌ Publishing failed", { err });
+      finishRun({ error: err });
+      process.exitCode = 1;
+    }
+  );
+}
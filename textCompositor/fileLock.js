@@ -0,0 +1,74 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Cross-process lock for the JSON files several processes read-modify-write
+ * (jobs.json: domka publish, facebookPoster.js and jobWorker.js; the ingestion store).
+ *
+ *   withFileLock(JOBS_PATH, () => { const jobs = read(); …; write(jobs); });
+ *
+ * The lock is `<file>.lock`, created exclusively and holding the owner's PID.
+ * A lock whose process is gone, or older than 30 s, is taken over. `fn` must be
+ * synchronous and short: other processes wait up to 10 s for it (`waitMs`), then
+ * get a FileLockBusyError. The wait blocks the thread, so the server passes
+ * `waitMs: 0` and answers 503 instead. Nested calls for the same file in one
+ * process just run `fn`.
+ */
+
+const STALE_MS = 30 * 1000;
+const WAIT_MS = 10 * 1000;
+const POLL_MS = 20;
+
+const held = new Set();
+
+export class FileLockBusyError extends Error {
+  constructor(file, lockPath) {
+    super(`⚠️ ${file} is locked by another process (${lockPath})`);
+    this.name = "FileLockBusyError";
+    this.file = file;
+  }
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function isStale(lockPath) {
+  try {
+    if (Date.now() - fs.statSync(lockPath).mtimeMs > STALE_MS) return true;
+    const pid = Number(fs.readFileSync(lockPath, "utf8"));
+    if (!pid) return false; // just created, PID not written yet
+    process.kill(pid, 0);
+    return false;
+  } catch (err) {
+    return err.code === "ESRCH"; // owner died; ENOENT: released meanwhile, try again
+  }
+}
+
+export function withFileLock(file, fn, { waitMs = WAIT_MS } = {}) {
+  const lockPath = `${file}.lock`;
+  if (held.has(lockPath)) return fn();
+  fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+  const deadline = Date.now() + waitMs;
+  for (;;) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: "wx" });
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      if (isStale(lockPath)) {
+        fs.rmSync(lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() >= deadline) throw new FileLockBusyError(file, lockPath);
+      sleepSync(POLL_MS);
+    }
+  }
+  held.add(lockPath);
+  try {
+    return fn();
+  } finally {
+    held.delete(lockPath);
+    fs.rmSync(lockPath, { force: true });
+  }
+}
@@ -0,0 +1,239 @@
+import axios from "axios";
+import dotenv from "dotenv";
+import { createLogger } from "./logger.js";
+
+dotenv.config();
+
+const log = createLogger("graph");
+
+/**
+ * Shared Facebook Graph API client.
+ *
+ *   GRAPH_BASE_URL      default https://graph.facebook.com (point at mockGraph.js to post offline)
+ *   GRAPH_API_VERSION   default v24.0
+ *   GRAPH_MAX_RETRIES   retries for transient and rate-limit errors (default 3)
+ *   GRAPH_RETRY_BASE_MS first retry delay, doubled each time (default 2000)
+ *   GRAPH_MAX_WAIT_MS   longest in-process wait for a rate limit to clear (default 60000);
+ *                       longer limits throw RateLimitError with retryAfterMs for the job queue
+ *   GRAPH_USAGE_PAUSE   usage % (X-App-Usage / X-Page-Usage / X-Business-Use-Case-Usage)
+ *                       at which calls pause until the quota recovers (default 95)
+ *
+ * Errors are typed so callers can react without digging into error codes:
+ *   TokenExpiredError  code 190 — reconnect the Page (never retried)
+ *   PermissionError    code 10, 200-299 — missing permission or role (never retried)
+ *   DuplicatePostError subcode 1366051 — the same post already went out (never retried)
+ *   RateLimitError     codes 4, 17, 32, 613, 80001-80014 — retried after the quota recovers
+ *   GraphError         anything else; retryable when Graph flags it transient, on
+ *                      codes 1/2, HTTP 5xx and network errors
+ * `retryable = false` makes jobQueue.js fail the job at once instead of backing off.
+ *
+ * Only GETs are retried in place on network errors, timeouts, codes 1/2 and 5xx.
+ * A POST that fails that way may still have gone through (a post, photo or
+ * comment that went out before the connection dropped): it throws at once with
+ * `maybeApplied = true`, and the job queue retries it later once the handler
+ * has checked whether the post exists (facebookPoster.js → findPost). POSTs are
+ * retried in place only on rate limits and errors Graph flags `is_transient`.
+ * Pass `{ retries: 0 }` for calls that must never repeat (the one-time OAuth code).
+ */
+
+export class GraphError extends Error {
+  constructor(
+    message,
+    { status = null, code = null, subcode = null, fbtraceId = null, retryable = false, maybeApplied = false } = {}
+  ) {
+    super(message);
+    this.name = "GraphError";
+    this.status = status;
+    this.code = code;
+    this.subcode = subcode;
+    this.fbtraceId = fbtraceId;
+    this.retryable = retryable;
+    this.maybeApplied = maybeApplied;
+  }
+}
+
+export class TokenExpiredError extends GraphError {
+  constructor(message, info) {
+    super(message, { ...info, retryable: false });
+    this.name = "TokenExpiredError";
+  }
+}
+
+export class PermissionError extends GraphError {
+  constructor(message, info) {
+    super(message, { ...info, retryable: false });
+    this.name = "PermissionError";
+  }
+}
+
+export class DuplicatePostError extends GraphError {
+  constructor(message, info) {
+    super(message, { ...info, retryable: false });
+    this.name = "DuplicatePostError";
+  }
+}
+
+export class RateLimitError extends GraphError {
+  constructor(message, { retryAfterMs = null, ...info } = {}) {
+    super(message, { ...info, retryable: true });
+    this.name = "RateLimitError";
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const RATE_LIMIT_CODES = new Set([4, 17, 32, 613]);
+const DUPLICATE_SUBCODE = 1366051;
+
+function envNumber(key, def) {
+  const v = process.env[key];
+  return v === undefined || v === "" ? def : Number(v);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function parseHeaderJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Highest usage percentage and longest "regain access" time (ms) reported by
+ * the usage headers of one response. { percent: 0, regainMs: 0 } without headers.
+ */
+export function usageFrom(headers = {}) {
+  const entries = [];
+  for (const name of ["x-app-usage", "x-page-usage", "x-ad-account-usage"]) {
+    const v = parseHeaderJson(headers[name]);
+    if (v) entries.push(v);
+  }
+  // X-Business-Use-Case-Usage: { "<business id>": [ { call_count, …, estimated_time_to_regain_access } ] }
+  const buc = parseHeaderJson(headers["x-business-use-case-usage"]);
+  for (const list of Object.values(buc || {})) {
+    if (Array.isArray(list)) entries.push(...list);
+  }
+  let percent = 0;
+  let regainMs = 0;
+  for (const e of entries) {
+    percent = Math.max(percent, Number(e.call_count) || 0, Number(e.total_cputime) || 0, Number(e.total_time) || 0);
+    regainMs = Math.max(regainMs, (Number(e.estimated_time_to_regain_access) || 0) * 60 * 1000);
+  }
+  return { percent, regainMs };
+}
+
+/**
+ * Axios error → typed GraphError. `method` decides whether a failure without a
+ * clear answer may have been applied (anything but a GET).
+ */
+export function toGraphError(err, retryAfterMs = null, method = "get") {
+  if (err instanceof GraphError) return err;
+  const unsafe = method.toLowerCase() !== "get";
+  const res = err.response;
+  if (!res) {
+    return new GraphError(`Graph request failed: ${err.message}`, { retryable: true, maybeApplied: unsafe });
+  }
+  const e = res.data?.error || {};
+  const info = {
+    status: res.status,
+    code: e.code ?? null,
+    subcode: e.error_subcode ?? null,
+    fbtraceId: e.fbtrace_id ?? null,
+  };
+  const message = e.message || `HTTP ${res.status}`;
+  if (info.subcode === DUPLICATE_SUBCODE) return new DuplicatePostError(message, info);
+  if (info.code === 190) return new TokenExpiredError(message, info);
+  if (info.code === 10 || (info.code >= 200 && info.code <= 299)) return new PermissionError(message, info);
+  if (RATE_LIMIT_CODES.has(info.code) || (info.code >= 80001 && info.code <= 80014) || res.status === 429) {
+    return new RateLimitError(message, { ...info, retryAfterMs });
+  }
+  const transient = !!e.is_transient;
+  const retryable = transient || info.code === 1 || info.code === 2 || res.status >= 500;
+  return new GraphError(message, { ...info, retryable, maybeApplied: unsafe && retryable && !transient });
+}
+
+/**
+ * Build a client. Every option defaults to its GRAPH_* env setting.
+ *
+ *   client.get(path, params, { token, retries })
+ *   client.post(path, body, { token, params, retries })
+ *
+ * `path` is relative to the version ("123/feed"). `body` is a plain object
+ * (sent as JSON) or a function returning a fresh FormData for each attempt,
+ * since an uploaded file stream can only be read once.
+ */
+export function createGraphClient({
+  baseUrl = process.env.GRAPH_BASE_URL || "https://graph.facebook.com",
+  version = process.env.GRAPH_API_VERSION || "v24.0",
+  maxRetries = envNumber("GRAPH_MAX_RETRIES", 3),
+  retryBaseMs = envNumber("GRAPH_RETRY_BASE_MS", 2000),
+  maxWaitMs = envNumber("GRAPH_MAX_WAIT_MS", 60000),
+  usagePause = envNumber("GRAPH_USAGE_PAUSE", 95),
+  timeoutMs = envNumber("GRAPH_TIMEOUT_MS", 60000),
+} = {}) {
+  const root = `${baseUrl.replace(/\/+$/, "")}/${version}`;
+  let pausedUntil = 0;
+
+  // Wait out a pause set by high usage, or hand it to the caller when too long
+  async function waitForQuota() {
+    const wait = pausedUntil - Date.now();
+    if (wait <= 0) return;
+    if (wait > maxWaitMs) {
+      throw new RateLimitError(`Graph usage limit reached; paused for ${Math.ceil(wait / 1000)}s`, {
+        retryAfterMs: wait,
+      });
+    }
+    await sleep(wait);
+  }
+
+  function noteUsage(headers) {
+    const usage = (client.usage = usageFrom(headers));
+    if (usage.percent >= usagePause) {
+      pausedUntil = Date.now() + (usage.regainMs || retryBaseMs * 2 ** maxRetries);
+      log.warn(`⚠️ Graph usage at ${usage.percent}% — pausing calls`);
+    }
+    return usage;
+  }
+
+  async function request(method, path, { params = {}, body, token, retries = maxRetries } = {}) {
+    const url = `${root}/${String(path).replace(/^\/+/, "")}`;
+    for (let attempt = 0; ; attempt++) {
+      await waitForQuota();
+      try {
+        const data = typeof body === "function" ? body() : body;
+        const res = await axios.request({
+          method,
+          url,
+          params: token ? { ...params, access_token: token } : params,
+          data,
+          headers: data?.getHeaders ? data.getHeaders() : undefined,
+          timeout: timeoutMs,
+          maxBodyLength: Infinity,
+        });
+        noteUsage(res.headers);
+        return res.data;
+      } catch (raw) {
+        const usage = raw.response ? noteUsage(raw.response.headers) : null;
+        const err = toGraphError(raw, usage?.regainMs || null, method);
+        if (!err.retryable || err.maybeApplied || attempt >= retries) throw err;
+        const delay = Math.max(retryBaseMs * 2 ** attempt, err.retryAfterMs || 0);
+        if (delay > maxWaitMs) throw err;
+        log.warn(`🔁 Graph ${method.toUpperCase()} ${path} retry #${attempt + 1} in ${delay}ms: ${err.message}`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  const client = {
+    version,
+    baseUrl,
+    usage: { percent: 0, regainMs: 0 },
+    get: (path, params = {}, { token, retries } = {}) => request("get", path, { params, token, retries }),
+    post: (path, body, { token, params, retries } = {}) => request("post", path, { body, token, params, retries }),
+  };
+  return client;
+}
+
+export const graph = createGraphClient();
@@ -1,20 +1,47 @@
+import path from "path";
 import express from "express";
-import axios from "axios";
 import qs from "qs";
 import dotenv from "dotenv";
+import { saveToDB, loadFromDB, listPages, setDefaultPage } from "./tokenStore.js";
+import { loadTargets, findTarget, resolvePage } from "./targets.js";
+import { graph, GraphError } from "./graphClient.js";
+import {
+  listReview,
+  editCaption,
+  decide,
+  reorder,
+  reviewedArticle,
+  approvedIds,
+  markQueued,
+  requireEditor,
+  scoredArticles,
+  photocardsFor,
+  CARDS_DIR,
+} from "./editorial.js";
+import { publishArticle } from "./facebookPoster.js";
+import { idOf } from "./articleId.js";
+import { ingestItems, parseFeed, feedItems } from "./ingest.js";
+import { FileLockBusyError } from "./fileLock.js";
+import { createLogger } from "./logger.js";
+import { metricsMiddleware, renderMetrics } from "./metrics.js";
 
 dotenv.config();
+const log = createLogger("server");
+const PORT = Number(process.env.PORT || 3000);
 const app = express();
-app.use(express.json());
+app.use(metricsMiddleware);
+// Scraper batches (POST /ingest) are larger than the default 100kb
+app.use(express.json({ limit: "10mb" }));
 
 const FB_APP_ID = process.env.FB_APP_ID;
 const FB_APP_SECRET = process.env.FB_APP_SECRET;
 const FB_REDIRECT_URI = process.env.FB_REDIRECT_URI; // must match portal exactly
-console.log(FB_APP_ID, FB_APP_SECRET, FB_REDIRECT_URI);
+if (!FB_APP_ID || !FB_APP_SECRET || !FB_REDIRECT_URI) {
+  log.warn("⚠️ FB_APP_ID, FB_APP_SECRET and FB_REDIRECT_URI are needed for /auth/facebook");
+}
 
 // Step A: Frontend sends users here or builds URL client-side
 app.get("/auth/facebook", (req, res) => {
-  console.log(FB_APP_ID, FB_APP_SECRET, FB_REDIRECT_URI);
   const params = qs.stringify({
     client_id: FB_APP_ID,
     redirect_uri: FB_REDIRECT_URI,
@@ -28,72 +55,233 @@ app.get("/auth/facebook", (req, res) => {
     response_type: "code",
     auth_type: "rerequest",
   });
-  res.redirect(`https://www.facebook.com/v20.0/dialog/oauth?${params}`);
+  res.redirect(`https://www.facebook.com/${graph.version}/dialog/oauth?${params}`);
 });
 
 // Step B: OAuth redirect handler
 app.get("/auth/callback", async (req, res) => {
   const { code } = req.query;
 
-  // 1) Exchange code → short-lived user token
-  const tokenResp = await axios.get(
-    "https://graph.facebook.com/v20.0/oauth/access_token",
+  // 1) Exchange code → short-lived user token (a code works once: never retried)
+  const tokenResp = await graph.get(
+    "oauth/access_token",
     {
-      params: {
-        client_id: FB_APP_ID,
-        client_secret: FB_APP_SECRET,
-        redirect_uri: FB_REDIRECT_URI,
-        code,
-      },
-    }
+      client_id: FB_APP_ID,
+      client_secret: FB_APP_SECRET,
+      redirect_uri: FB_REDIRECT_URI,
+      code,
+    },
+    { retries: 0 }
   );
-  const shortUserToken = tokenResp.data.access_token;
+  const shortUserToken = tokenResp.access_token;
 
   // 2) Exchange short → long-lived user token
-  const longUserResp = await axios.get(
-    "https://graph.facebook.com/v20.0/oauth/access_token",
-    {
-      params: {
-        grant_type: "fb_exchange_token",
-        client_id: FB_APP_ID,
-        client_secret: FB_APP_SECRET,
-        fb_exchange_token: shortUserToken,
-      },
-    }
-  );
-  const longUserToken = longUserResp.data.access_token;
+  const longUserResp = await graph.get("oauth/access_token", {
+    grant_type: "fb_exchange_token",
+    client_id: FB_APP_ID,
+    client_secret: FB_APP_SECRET,
+    fb_exchange_token: shortUserToken,
+  });
+  const longUserToken = longUserResp.access_token;
 
   // 3) Get Pages + Page tokens
-  const pages = await axios.get(
-    "https://graph.facebook.com/v20.0/me/accounts",
-    {
-      params: { access_token: longUserToken },
-    }
-  );
+  const pages = await graph.get("me/accounts", {}, { token: longUserToken });
+
+  // 4) Who granted them — Pages from several accounts can be connected
+  const me = await graph.get("me", { fields: "id,name" }, { token: longUserToken });
 
-  // Persist longUserToken and selected page {id, access_token} securely (encrypted at rest).
-  // For demo: pick first page
-  const page = pages.data.data?.[0];
-  // saveToDB({ longUserToken, pageId: page.id, pageToken: page.access_token })
+  // Persist longUserToken and every page {id, access_token} (encrypted at rest).
+  const connected = saveToDB({
+    accountId: me.id,
+    longUserToken,
+    pages: pages.data || [],
+  });
+
+  res.json({ ok: true, pages: connected });
+});
+
+// Connected Pages (tokens are never returned)
+app.get("/pages", (req, res) => {
+  res.json({ pages: listPages() });
+});
 
-  res.json({ ok: true, page });
+// Publishing targets (Page ↔ domain/category filters) from targets.json
+app.get("/targets", (req, res) => {
+  res.json({ targets: loadTargets() });
 });
 
-// Step C: Publish to the Page feed (text/link)
+// Pick the Page that /post uses when no pageId is given
+app.put("/pages/default", (req, res) => {
+  const { pageId } = req.body || {};
+  try {
+    res.json({ ok: true, pages: setDefaultPage(pageId) });
+  } catch (err) {
+    res.status(404).json({ ok: false, error: err.message });
+  }
+});
+
+// Step C: Publish to the Page feed (text/link). A target resolves its token like
+// the poster does (tokenEnv first, then the connected Page); else pageId or the default Page.
 app.post("/post", async (req, res) => {
-  const { message, link } = req.body;
-  const { pageId, pageToken } = await loadFromDB(); // your own storage
+  const { message, link, target } = req.body;
+  let pageId, token;
+  try {
+    if (target) {
+      ({ pageId, token } = resolvePage(findTarget(target)));
+    } else {
+      ({ pageId, pageToken: token } = loadFromDB(req.body.pageId));
+    }
+  } catch (err) {
+    return res.status(409).json({ ok: false, error: err.message });
+  }
 
-  const resp = await axios.post(
-    `https://graph.facebook.com/v20.0/${pageId}/feed`,
-    qs.stringify({ message, link }),
-    {
-      headers: { "Content-Type": "application/x-www-form-urlencoded" },
-      params: { access_token: pageToken },
+  const post = await graph.post(`${pageId}/feed`, { message, link }, { token });
+  res.json(post); // returns post id
+});
+
+// ---- ingestion ---------------------------------------------------------
+// Scraped articles in: a JSON array / { items } / one object, or JSONL
+// (Content-Type: application/x-ndjson). With INGEST_TOKEN set, send it as a Bearer token.
+
+app.post(
+  "/ingest",
+  express.text({ type: ["application/x-ndjson", "application/jsonl"], limit: "10mb" }),
+  (req, res) => {
+    const token = process.env.INGEST_TOKEN;
+    if (token && req.get("Authorization") !== `Bearer ${token}`) {
+      return res.status(401).json({ ok: false, error: "⚠️ Missing or wrong ingest token" });
+    }
+    const { items, bad } =
+      typeof req.body === "string" ? parseFeed(req.body, { jsonl: true }) : { items: feedItems(req.body), bad: [] };
+    if (!items.length && !bad.length) {
+      return res.status(400).json({ ok: false, error: "⚠️ No items in the request body" });
+    }
+    let stats;
+    try {
+      // Don't block the event loop waiting for the watcher: the client retries
+      stats = ingestItems(items, { lockWaitMs: 0 });
+    } catch (err) {
+      if (!(err instanceof FileLockBusyError)) throw err;
+      res.set("Retry-After", "1");
+      return res.status(503).json({ ok: false, error: "⚠️ The article store is busy, retry shortly" });
+    }
+    if (bad.length) stats.invalid.push({ lines: bad, errors: ["not valid JSON"] });
+    // 422 only when nothing in the batch could be used
+    const unusable = stats.invalid.length && !stats.accepted && !stats.duplicates && !stats.stale;
+    res.status(unusable ? 422 : 200).json({ ok: !unusable, ...stats });
+  }
+);
+
+// ---- editorial review ------------------------------------------------
+// Every write needs the editor's name: `editor` in the body or an X-Editor header.
+
+function editorOf(req) {
+  return req.body?.editor || req.get("X-Editor");
+}
+
+// JSON result, or { ok: false, error } with the status the editorial module chose
+function reviewRoute(fn) {
+  return async (req, res) => {
+    try {
+      res.json(await fn(req));
+    } catch (err) {
+      res.status(err.status || 500).json({ ok: false, error: err.message });
     }
+  };
+}
+
+app.use("/photocards", express.static(CARDS_DIR));
+
+// Scored articles with photocard, caption and review state (?status=approved)
+app.get(
+  "/review",
+  reviewRoute((req) => ({
+    items: listReview({ status: req.query.status || null }).map((r) => ({
+      ...r,
+      photocard_url: r.photocard ? `/photocards/${encodeURIComponent(path.basename(r.photocard))}` : null,
+      photocard_urls: r.photocards.map((p) => `/photocards/${encodeURIComponent(path.basename(p))}`),
+    })),
+  }))
+);
+
+app.put(
+  "/review/order",
+  reviewRoute((req) => ({ ok: true, items: reorder(req.body?.ids, editorOf(req)) }))
+);
+
+app.put(
+  "/review/:id/caption",
+  reviewRoute((req) => ({ ok: true, item: editCaption(req.params.id, req.body?.caption, editorOf(req)) }))
+);
+
+for (const [action, status] of [
+  ["approve", "approved"],
+  ["reject", "rejected"],
+  ["reset", "pending"],
+]) {
+  app.post(
+    `/review/:id/${action}`,
+    reviewRoute((req) => ({ ok: true, item: decide(req.params.id, status, editorOf(req), req.body?.note) }))
   );
+}
+
+// Hand approved articles (desk order) to the job queue; `node jobWorker.js` posts them
+app.post(
+  "/review/publish",
+  reviewRoute((req) => {
+    const editor = requireEditor(editorOf(req));
+    const limit = Number(req.body?.limit) || Infinity;
+    const articles = new Map(scoredArticles().map((a) => [idOf(a), a]));
+    const queued = [];
+    const skipped = [];
+    for (const id of approvedIds().slice(0, limit)) {
+      // Approved earlier, but scored.json has since been re-scored without it
+      if (!articles.has(id)) {
+        skipped.push({ id, reason: "not in scored file" });
+        continue;
+      }
+      const article = reviewedArticle(articles.get(id));
+      // Feed card plus carousel slides, in whatever format they were rendered
+      const localImagePaths = photocardsFor(id);
+      if (!localImagePaths.length) {
+        skipped.push({ id, reason: "no photocard" });
+        continue;
+      }
+      const jobs = publishArticle({ article, localImagePaths });
+      if (!jobs.length) {
+        skipped.push({ id, reason: "no matching target" });
+        continue;
+      }
+      markQueued(id, jobs.map((j) => j.id), editor);
+      queued.push({ id, jobIds: jobs.map((j) => j.id) });
+    }
+    return { ok: true, queued, skipped };
+  })
+);
+
+const GRAPH_ERROR_STATUS = {
+  TokenExpiredError: 401,
+  PermissionError: 403,
+  DuplicatePostError: 409,
+  RateLimitError: 429,
+};
+
+// Prometheus scrape target (metrics.js)
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4").send(renderMetrics());
+});
+
+// Graph failures → JSON with the error type, e.g. TokenExpiredError when the Page must be reconnected
+app.use((err, req, res, next) => {
+  if (!(err instanceof GraphError)) return next(err);
+  const status = GRAPH_ERROR_STATUS[err.name] || 502;
+  log.warn(`⚠️ ${req.method} ${req.path} → Graph ${err.name}`, { err, status });
+  res.status(status).json({ ok: false, error: err.message, type: err.name, code: err.code });
+});
 
-  res.json(resp.data); // returns post id
+app.use((err, req, res, next) => {
+  log.error(`❌ ${req.method} ${req.path} failed`, { err });
+  next(err);
 });
 
-app.listen(3000);
+app.listen(PORT, () => log.info(`🚀 Server listening on http://localhost:${PORT}`, { app_id: FB_APP_ID }));
@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { pathToFileURL } from "url";
+import { articleId } from "./articleId.js";
+import { toLatinDigits } from "./scoreSchema.js";
+import { createLogger } from "./logger.js";
+import { withFileLock } from "./fileLock.js";
+
+dotenv.config();
+
+/**
+ * Article ingestion: items from the Scrapy spiders (domka_scraper) are
+ * validated, normalized and added to the article store incrementally.
+ *
+ * - POST /ingest on the Express server (index.js): a JSON array, { "items": [...] },
+ *   one object, or JSONL (Content-Type: application/x-ndjson); 503 with Retry-After
+ *   while the watcher holds the store's lock
+ * - `node ingest.js watch`: polls INGEST_DIR (default ../feeds) every INGEST_POLL_MS
+ *   (default 5s) for *.json / *.jsonl; JSONL files are read from where the last
+ *   poll stopped, so a spider can append while it crawls:
+ *     scrapy crawl prothomalo -o ../feeds/prothomalo.jsonl
+ * - `node ingest.js <file...>`: one-off import
+ *
+ * Item shape: article_title, url (required), article_image, published_date,
+ * category_bn, source, domain, plus whatever else the spider sends (article_body…).
+ * Dates (ISO, "dd.mm.yyyy", "১৯ অক্টোবর ২০২৬", Bangla digits) become ISO UTC;
+ * a date without a time zone is read as UTC (ISO, as the spiders write it) or
+ * Dhaka time (day-only formats). Items older than INGEST_MAX_AGE_HOURS (default 48)
+ * are refused and pruned from the store, so stale news never gets scored.
+ *
+ * The store (ARTICLES_STORE, default ../articles/ingested.json) is a JSON array in
+ * the folder articleProcessor.js scores; its score cache skips what it has seen.
+ * The server and the watcher both add to it, so every update holds its lockfile
+ * (fileLock.js).
+ */
+
+const log = createLogger("ingest");
+
+const ARTICLES_STORE = process.env.ARTICLES_STORE || "../articles/ingested.json";
+const INGEST_DIR = process.env.INGEST_DIR || "../feeds";
+const INGEST_STATE_PATH = process.env.INGEST_STATE_PATH || "../data/ingest-state.json";
+const MAX_AGE_HOURS = Number(process.env.INGEST_MAX_AGE_HOURS || 48);
+const POLL_MS = Number(process.env.INGEST_POLL_MS || 5000);
+
+const DHAKA_OFFSET = "+06:00";
+const BN_MONTHS = [
+  "জানুয়ারি",
+  "ফেব্রুয়ারি",
+  "মার্চ",
+  "এপ্রিল",
+  "মে",
+  "জুন",
+  "জুলাই",
+  "আগস্ট",
+  "সেপ্টেম্বর",
+  "অক্টোবর",
+  "নভেম্বর",
+  "ডিসেম্বর",
+];
+
+function writeJsonAtomic(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, filePath);
+}
+
+function readJson(filePath, fallback) {
+  if (!fs.existsSync(filePath)) return fallback;
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+// ---- normalization ---------------------------------------------------
+
+/**
+ * A scraped date → ISO UTC string, or null when it can't be read.
+ */
+export function normalizeDate(value) {
+  if (value == null || value === "") return null;
+  // Bangla digits, and the Bangla month names some pages print
+  let s = toLatinDigits(String(value).normalize("NFC")).trim();
+  BN_MONTHS.forEach((name, i) => {
+    s = s.replace(name.normalize("NFC"), ` ${String(i + 1).padStart(2, "0")} `);
+  });
+  s = s.replace(/\s+/g, " ").trim();
+
+  // 2026-10-19T08:30:00(.000)(Z|+06:00)
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(s)) {
+    const zoned = /(Z|[+-]\d{2}:?\d{2})$/.test(s) ? s : `${s}Z`;
+    const t = Date.parse(zoned);
+    return Number.isNaN(t) ? null : new Date(t).toISOString();
+  }
+  // 19.10.2026, 19/10/2026, 19-10-2026, "19 10 2026" (month name) or 2026-10-19
+  const dmy = /^(\d{1,2})[./\- ](\d{1,2})[./\- ,]+(\d{4})$/.exec(s);
+  const ymd = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(s);
+  if (!dmy && !ymd) return null;
+  const [y, mo, d] = dmy ? [dmy[3], dmy[2], dmy[1]] : ymd.slice(1);
+  if (Number(mo) < 1 || Number(mo) > 12 || Number(d) < 1 || Number(d) > 31) return null;
+  const t = Date.parse(`${y}-${mo.padStart(2, "0")}-${d.padStart(2, "0")}T00:00:00${DHAKA_OFFSET}`);
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+}
+
+function text(v) {
+  return typeof v === "string" ? v.replace(/\s+/g, " ").trim() : "";
+}
+
+function httpUrl(v) {
+  try {
+    const u = new URL(String(v || "").trim());
+    return /^https?:$/.test(u.protocol) ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check and normalize one scraped item. Returns { value, errors }.
+ */
+export function validateItem(item) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return { value: null, errors: ["item must be a JSON object"] };
+  }
+  const errors = [];
+  const title = text(item.article_title);
+  if (!title) errors.push('"article_title" is required');
+  const url = httpUrl(item.url);
+  if (!url) errors.push('"url" must be an http(s) URL');
+  for (const key of ["category_bn", "source", "domain"]) {
+    if (item[key] != null && typeof item[key] !== "string") errors.push(`"${key}" must be a string`);
+  }
+  if (item.article_image != null && item.article_image !== "" && !httpUrl(item.article_image)) {
+    errors.push('"article_image" must be an http(s) URL');
+  }
+  const published = normalizeDate(item.published_date) || normalizeDate(item.published_date_bn);
+  if (!published) errors.push('"published_date" is missing or not a date');
+  if (errors.length) return { value: null, errors };
+
+  const value = {
+    ...item,
+    article_title: title,
+    url,
+    article_image: httpUrl(item.article_image),
+    published_date: published,
+    category_bn: text(item.category_bn) || null,
+    source: text(item.source) || null,
+    domain: text(item.domain).toLowerCase() || null,
+  };
+  if (typeof item.article_body === "string") value.article_body = item.article_body.trim();
+  return { value: { id: articleId(value), ...value }, errors };
+}
+
+/**
+ * Within the freshness cutoff? Articles without a date pass (legacy scrapes).
+ */
+export function isFresh(article, { now = Date.now(), maxAgeHours = MAX_AGE_HOURS } = {}) {
+  const t = Date.parse(normalizeDate(article.published_date) || "");
+  return Number.isNaN(t) || now - t <= maxAgeHours * 60 * 60 * 1000;
+}
+
+// ---- store -----------------------------------------------------------
+
+export function loadStore() {
+  return readJson(ARTICLES_STORE, []);
+}
+
+/**
+ * Validate and add items to the store, under its lock. Stale items are refused and stale
+ * stored articles pruned. Returns { accepted, duplicates, stale, pruned, invalid: [{ index, errors }] }.
+ * `lockWaitMs` caps the wait for the lock (FileLockBusyError after it; fileLock.js).
+ */
+export function ingestItems(items, { lockWaitMs, ...opts } = {}) {
+  return withFileLock(ARTICLES_STORE, () => addItems(items, opts), { waitMs: lockWaitMs });
+}
+
+function addItems(items, { now = Date.now(), maxAgeHours = MAX_AGE_HOURS }) {
+  const store = loadStore();
+  const kept = store.filter((a) => isFresh(a, { now, maxAgeHours }));
+  const seen = new Set(kept.map((a) => a.id));
+  const stats = { accepted: 0, duplicates: 0, stale: 0, pruned: store.length - kept.length, invalid: [] };
+
+  items.forEach((item, index) => {
+    const { value, errors } = validateItem(item);
+    if (!value) {
+      stats.invalid.push({ index, url: item?.url ?? null, errors });
+    } else if (!isFresh(value, { now, maxAgeHours })) {
+      stats.stale++;
+    } else if (seen.has(value.id)) {
+      stats.duplicates++;
+    } else {
+      seen.add(value.id);
+      kept.push({ ...value, ingested_at: new Date(now).toISOString() });
+      stats.accepted++;
+    }
+  });
+
+  if (stats.accepted || stats.pruned) writeJsonAtomic(ARTICLES_STORE, kept);
+  return stats;
+}
+
+/**
+ * Items in a parsed JSON document: an array, { items: [...] } or one object.
+ */
+export function feedItems(data) {
+  if (data == null) return [];
+  return Array.isArray(data) ? data : Array.isArray(data.items) ? data.items : [data];
+}
+
+/**
+ * Items out of JSON or JSONL text. Unparseable JSONL lines are returned as `bad` line numbers.
+ */
+export function parseFeed(raw, { jsonl = false } = {}) {
+  const body = String(raw || "").replace(/^\uFEFF/, "");
+  if (!jsonl) return { items: feedItems(JSON.parse(body)), bad: [] };
+  const items = [];
+  const bad = [];
+  body.split("\n").forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      items.push(JSON.parse(line));
+    } catch {
+      bad.push(i + 1);
+    }
+  });
+  return { items, bad };
+}
+
+// ---- feed watcher ----------------------------------------------------
+
+/**
+ * Read what is new in a feed file since `state` ({ offset, mtimeMs }) and ingest it.
+ * JSONL: complete lines after `offset` (a shorter file was rewritten: start over).
+ * JSON: the whole file, when it changed and parses (a spider may still be writing it).
+ * Returns { state, stats } or null when there was nothing new.
+ */
+export function ingestFile(file, state = {}, opts = {}) {
+  const stat = fs.statSync(file);
+  if (file.endsWith(".jsonl")) {
+    let offset = stat.size < (state.offset || 0) ? 0 : state.offset || 0;
+    if (stat.size === offset) return null;
+    const fd = fs.openSync(file, "r");
+    const buf = Buffer.alloc(stat.size - offset);
+    fs.readSync(fd, buf, 0, buf.length, offset);
+    fs.closeSync(fd);
+    const end = buf.lastIndexOf(0x0a) + 1; // keep a half-written last line for the next poll
+    if (!end) return null;
+    const { items, bad } = parseFeed(buf.subarray(0, end).toString("utf8"), { jsonl: true });
+    offset += end;
+    const stats = ingestItems(items, opts);
+    if (bad.length) stats.invalid.push({ lines: bad, errors: ["not valid JSON"] });
+    return { state: { offset, mtimeMs: stat.mtimeMs }, stats };
+  }
+  if (stat.mtimeMs === state.mtimeMs) return null;
+  let items;
+  try {
+    ({ items } = parseFeed(fs.readFileSync(file, "utf8")));
+  } catch {
+    return null; // incomplete; try again next poll
+  }
+  return { state: { mtimeMs: stat.mtimeMs }, stats: ingestItems(items, opts) };
+}
+
+function logStats(name, stats) {
+  log.info(
+    `📥 ${name}: ${stats.accepted} new, ${stats.duplicates} duplicate(s), ${stats.stale} stale, ` +
+      `${stats.invalid.length} invalid${stats.pruned ? `, ${stats.pruned} pruned` : ""}`
+  );
+  for (const bad of stats.invalid.slice(0, 5)) {
+    log.warn(`⚠️ ${bad.url || (bad.lines ? `line(s) ${bad.lines.join(", ")}` : `#${bad.index}`)}: ${bad.errors.join("; ")}`);
+  }
+}
+
+/**
+ * One pass over `dir`; per-file progress is kept in INGEST_STATE_PATH.
+ */
+export function scanFeeds(dir = INGEST_DIR, opts = {}) {
+  if (!fs.existsSync(dir)) return [];
+  const state = readJson(INGEST_STATE_PATH, {});
+  const results = [];
+  for (const name of fs.readdirSync(dir).sort()) {
+    if (!/\.jsonl?$/.test(name)) continue;
+    const file = path.join(dir, name);
+    try {
+      const result = ingestFile(file, state[name], opts);
+      if (!result) continue;
+      state[name] = result.state;
+      logStats(name, result.stats);
+      results.push({ file: name, ...result.stats });
+    } catch (err) {
+      log.error(`❌ Failed to ingest ${name}`, { err });
+    }
+  }
+  if (results.length) writeJsonAtomic(INGEST_STATE_PATH, state);
+  return results;
+}
+
+/**
+ * Poll `dir` until stopped. Returns { stop }.
+ */
+export function watchFeeds(dir = INGEST_DIR, { intervalMs = POLL_MS } = {}) {
+  let timer = null;
+  let stopped = false;
+  const tick = () => {
+    scanFeeds(dir);
+    if (!stopped) timer = setTimeout(tick, intervalMs);
+  };
+  tick();
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+// ---- main -----------------------------------------------------------
+
+function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (command === "watch") {
+    const dir = rest[0] || INGEST_DIR;
+    fs.mkdirSync(dir, { recursive: true });
+    log.info(`👀 Watching ${dir} for *.json / *.jsonl (every ${POLL_MS / 1000}s)`);
+    const watcher = watchFeeds(dir);
+    process.on("SIGINT", () => {
+      watcher.stop();
+      log.info("👋 Feed watcher stopped");
+      process.exit(0);
+    });
+    return;
+  }
+  const files = [command, ...rest].filter(Boolean);
+  if (!files.length) {
+    console.log("Usage: node ingest.js watch [dir] | <file.json|file.jsonl>...");
+    process.exitCode = 1;
+    return;
+  }
+  for (const file of files) {
+    const { items, bad } = parseFeed(fs.readFileSync(file, "utf8"), { jsonl: file.endsWith(".jsonl") });
+    const stats = ingestItems(items);
+    if (bad.length) stats.invalid.push({ lines: bad, errors: ["not valid JSON"] });
+    logStats(path.basename(file), stats);
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main();
+}
@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { pathToFileURL } from "url";
+import { graph, GraphError } from "./graphClient.js";
+import { listJobs, enqueue } from "./jobQueue.js";
+import { findTarget, resolvePage } from "./targets.js";
+import { createLogger } from "./logger.js";
+
+dotenv.config();
+
+/**
+ * Post performance, to check the scoring model's predictions against reality.
+ *
+ * - collect: for every published post (done "publish" jobs), fetch reach,
+ *   reactions, comments, shares and link clicks with the Page's token and store
+ *   them by article ID in INSIGHTS_PATH (default ../data/insights.json).
+ *   Posts older than INSIGHTS_MAX_AGE_DAYS (default 28) keep their last numbers.
+ * - report: predicted score vs. actual engagement (by score band, plus the
+ *   correlation), posting hour (UTC) and caption variant vs. engagement, per
+ *   model/prompt version.
+ *   Written to ../output/insights-report.json.
+ *
+ * The "insights" job (jobWorker.js) collects and re-queues itself every
+ * INSIGHTS_INTERVAL_MS (default 6h); start it once with `node insights.js schedule`.
+ *
+ * Run:
+ * node insights.js collect | report [--out ../output/insights-report.json] | schedule
+ *
+ * {
+ *   "<article id>": {
+ *     "prediction": { "score", "best_post_time_utc", "model", "prompt_version" },
+ *     "posts": { "<post id>": { "target", "caption_variant", "created_time", "fetched_at",
+ *                               "metrics": { "reach", "reactions", "comments", "shares", "link_clicks" } } }
+ *   }
+ * }
+ */
+
+const log = createLogger("insights");
+
+const INSIGHTS_PATH = process.env.INSIGHTS_PATH || "../data/insights.json";
+const MAX_AGE_DAYS = Number(process.env.INSIGHTS_MAX_AGE_DAYS || 28);
+const INTERVAL_MS = Number(process.env.INSIGHTS_INTERVAL_MS || 6 * 60 * 60 * 1000);
+export const REPORT_PATH = "../output/insights-report.json";
+
+// Graph metric names; reach and clicks come from /insights, the rest from the post
+const REACH_METRIC = "post_impressions_unique";
+const CLICKS_METRIC = "post_clicks_by_type";
+const POST_FIELDS = [
+  "created_time",
+  "shares",
+  "reactions.summary(total_count).limit(0)",
+  "comments.summary(total_count).limit(0)",
+].join(",");
+
+export function loadInsights() {
+  if (!fs.existsSync(INSIGHTS_PATH)) return {};
+  return JSON.parse(fs.readFileSync(INSIGHTS_PATH, "utf8"));
+}
+
+function saveInsights(insights) {
+  fs.mkdirSync(path.dirname(INSIGHTS_PATH), { recursive: true });
+  const tmp = `${INSIGHTS_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(insights, null, 2));
+  fs.renameSync(tmp, INSIGHTS_PATH);
+}
+
+/**
+ * { created_time, metrics } for one post.
+ */
+export async function fetchPostMetrics(page, postId) {
+  const post = await graph.get(postId, { fields: POST_FIELDS }, { token: page.token });
+  const insights = await graph.get(
+    `${postId}/insights`,
+    { metric: [REACH_METRIC, CLICKS_METRIC].join(",") },
+    { token: page.token }
+  );
+  const value = (name) => insights.data?.find((m) => m.name === name)?.values?.[0]?.value;
+  return {
+    created_time: post.created_time || null,
+    metrics: {
+      reach: Number(value(REACH_METRIC)) || 0,
+      reactions: post.reactions?.summary?.total_count || 0,
+      comments: post.comments?.summary?.total_count || 0,
+      shares: post.shares?.count || 0,
+      link_clicks: Number(value(CLICKS_METRIC)?.["link clicks"]) || 0,
+    },
+  };
+}
+
+/**
+ * Published Facebook posts from the job queue:
+ * [{ articleId, target, postId, variant, prediction }].
+ */
+export function publishedPosts() {
+  return listJobs({ type: "publish", status: "done" })
+    .filter((j) => j.result?.postId && (j.payload.platform || "facebook") === "facebook")
+    .map((j) => ({
+      articleId: j.payload.articleId,
+      target: j.payload.target,
+      postId: j.result.postId,
+      variant: j.payload.caption_variant ?? null,
+      prediction: j.payload.prediction || null,
+    }));
+}
+
+/**
+ * Fetch metrics for every published post still within MAX_AGE_DAYS (or never fetched).
+ * A failing post (deleted, token revoked…) is reported and skipped.
+ */
+export async function collectInsights({ now = Date.now(), maxAgeDays = MAX_AGE_DAYS } = {}) {
+  const insights = loadInsights();
+  const stats = { fetched: 0, frozen: 0, failed: 0 };
+  for (const { articleId, target, postId, variant, prediction } of publishedPosts()) {
+    const entry = (insights[articleId] ||= { prediction: null, posts: {} });
+    entry.prediction ||= prediction;
+    const previous = entry.posts[postId];
+    const age = previous?.created_time ? now - Date.parse(previous.created_time) : 0;
+    if (previous?.metrics && age > maxAgeDays * 24 * 60 * 60 * 1000) {
+      stats.frozen++;
+      continue;
+    }
+    try {
+      const page = resolvePage(findTarget(target));
+      const { created_time, metrics } = await fetchPostMetrics(page, postId);
+      entry.posts[postId] = {
+        target,
+        caption_variant: variant,
+        created_time,
+        fetched_at: new Date(now).toISOString(),
+        metrics,
+      };
+      stats.fetched++;
+    } catch (err) {
+      stats.failed++;
+      const reason = err instanceof GraphError ? `${err.name}: ${err.message}` : err.message;
+      log.warn(`⚠️ Insights for ${postId} (${target}) failed: ${reason}`);
+    }
+  }
+  saveInsights(insights);
+  return stats;
+}
+
+// ---- report ---------------------------------------------------------
+
+export function engagement(m) {
+  return (m.reactions || 0) + (m.comments || 0) + (m.shares || 0) + (m.link_clicks || 0);
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 3) return null;
+  const mean = (a) => a.reduce((s, v) => s + v, 0) / n;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  return vx && vy ? Math.round((cov / Math.sqrt(vx * vy)) * 1000) / 1000 : null;
+}
+
+function summarize(rows) {
+  const avg = (k) => Math.round(rows.reduce((s, r) => s + r[k], 0) / rows.length);
+  return { posts: rows.length, avg_engagement: avg("engagement"), avg_reach: avg("reach") };
+}
+
+function groupBy(rows, keyFn) {
+  const groups = new Map();
+  for (const r of rows) {
+    const k = keyFn(r);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(r);
+  }
+  return groups;
+}
+
+// "HH:MM" → hour; null when the model gave no usable time
+function predictedHour(time) {
+  const match = /^(\d{1,2}):\d{2}$/.exec(String(time ?? "").trim());
+  const hour = match ? Number(match[1]) : NaN;
+  return hour >= 0 && hour < 24 ? hour : null;
+}
+
+function scoreBand(score) {
+  const lo = Math.min(80, Math.floor(score / 20) * 20);
+  return `${lo}-${lo === 80 ? 100 : lo + 19}`;
+}
+
+/**
+ * Predicted vs. actual, from stored insights:
+ * { posts, overall, by_model: [{ model, prompt_version, posts, score_engagement_correlation,
+ *   by_score_band: [...], by_hour_utc: [...], by_caption_variant: [...], predicted_hour_hit_rate }] }
+ */
+export function buildReport(insights = loadInsights()) {
+  const rows = [];
+  for (const [articleId, entry] of Object.entries(insights)) {
+    for (const [postId, post] of Object.entries(entry.posts || {})) {
+      if (!post.metrics || entry.prediction?.score == null) continue;
+      const created = post.created_time ? new Date(post.created_time) : null;
+      rows.push({
+        articleId,
+        postId,
+        target: post.target,
+        score: Number(entry.prediction.score),
+        predictedHour: predictedHour(entry.prediction.best_post_time_utc),
+        hour: created ? created.getUTCHours() : null,
+        variant: post.caption_variant ?? null,
+        model: entry.prediction.model || "unknown",
+        promptVersion: entry.prediction.prompt_version || "unknown",
+        reach: post.metrics.reach || 0,
+        engagement: engagement(post.metrics),
+      });
+    }
+  }
+
+  const section = (group) => {
+    const withHour = group.filter((r) => r.hour !== null);
+    const predicted = withHour.filter((r) => r.predictedHour !== null);
+    return {
+      ...summarize(group),
+      score_engagement_correlation: pearson(group.map((r) => r.score), group.map((r) => r.engagement)),
+      by_score_band: [...groupBy(group, (r) => scoreBand(r.score))]
+        .sort(([a], [b]) => parseInt(a) - parseInt(b))
+        .map(([band, g]) => ({ band, ...summarize(g) })),
+      by_hour_utc: [...groupBy(withHour, (r) => r.hour)]
+        .sort(([a], [b]) => a - b)
+        .map(([hour, g]) => ({ hour, ...summarize(g) })),
+      // Variants are numbered per article, so this compares "first vs. second caption"
+      by_caption_variant: [...groupBy(group.filter((r) => r.variant !== null), (r) => r.variant)]
+        .sort(([a], [b]) => a - b)
+        .map(([variant, g]) => ({ variant: `v${variant + 1}`, ...summarize(g) })),
+      // Share of posts that actually went out in the predicted hour (posts without a prediction left out)
+      predicted_hour_hit_rate: predicted.length
+        ? Math.round((predicted.filter((r) => r.hour === r.predictedHour).length / predicted.length) * 100) / 100
+        : null,
+    };
+  };
+
+  return {
+    generated_at: new Date().toISOString(),
+    posts: rows.length,
+    overall: rows.length ? section(rows) : null,
+    by_model: [...groupBy(rows, (r) => `${r.model}|${r.promptVersion}`)].map(([key, g]) => {
+      const [model, prompt_version] = key.split("|");
+      return { model, prompt_version, ...section(g) };
+    }),
+  };
+}
+
+// ---- queue job ------------------------------------------------------
+
+/**
+ * jobQueue.js handler: collect, then queue the next run — also when the
+ * collection fails, so one bad run does not end the schedule. A retry of the
+ * failed run finds the next one already queued.
+ */
+export async function insightsJob() {
+  try {
+    const stats = await collectInsights();
+    log.info("📈 Insights collected", stats);
+    return stats;
+  } finally {
+    if (!listJobs({ type: "insights", status: "pending" }).length) {
+      enqueue("insights", {}, { runAt: Date.now() + INTERVAL_MS });
+    }
+  }
+}
+
+// ---- main -----------------------------------------------------------
+
+async function main() {
+  const [command] = process.argv.slice(2);
+  if (command === "collect") {
+    log.info("📈 Insights collected", await collectInsights());
+    return;
+  }
+  if (command === "report") {
+    const i = process.argv.indexOf("--out");
+    const out = i >= 0 ? process.argv[i + 1] : REPORT_PATH;
+    const report = buildReport();
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(report, null, 2));
+    log.info(`📊 ${report.posts} post(s) — report saved at ${out}`);
+    if (report.overall) {
+      const { score_engagement_correlation, predicted_hour_hit_rate, by_score_band, by_hour_utc, by_caption_variant } =
+        report.overall;
+      log.info("📊 Predicted vs. actual", {
+        score_engagement_correlation,
+        predicted_hour_hit_rate,
+        by_score_band,
+        by_hour_utc,
+        by_caption_variant,
+      });
+    }
+    return;
+  }
+  if (command === "schedule") {
+    if (listJobs({ type: "insights", status: "pending" }).length) {
+      log.info("✅ An insights job is already queued");
+      return;
+    }
+    enqueue("insights", {});
+    log.info("📋 Queued the insights job — `node jobWorker.js` runs it");
+    return;
+  }
+  console.log("Usage: node insights.js collect | report [--out path] | schedule");
+  process.exitCode = 1;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    log.error("❌ Error", { err });
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,235 @@
+import fs from "fs";
+import path from "path";
+import os from "os";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { createLogger } from "./logger.js";
+import { count, startRun, finishRun, discardRun, currentRun } from "./runReport.js";
+import { withFileLock } from "./fileLock.js";
+
+dotenv.config();
+
+const log = createLogger("jobs");
+
+/**
+ * Durable job queue stored on disk (JOBS_PATH, default ../data/jobs.json).
+ *
+ * - Every change is read-modify-write on the file, so jobs survive a restart;
+ *   changes hold a lockfile (fileLock.js), since domka publish, facebookPoster.js
+ *   and jobWorker.js may all work the queue at once
+ * - A job is claimed ("running", claimed_by { pid, host }) in the same locked write
+ *   that checks it is still pending, so only one process runs it
+ * - Jobs left "running" by a crashed process go back to "pending" on the next
+ *   worker start; handlers record finished steps with saveProgress() so the
+ *   retry skips them
+ * - Failed jobs retry with exponential backoff until maxAttempts;
+ *   a handler can throw an error with `retryable = false` to fail immediately,
+ *   or with `retryAfterMs` to wait at least that long (e.g. a Graph rate limit)
+ *
+ * Job: { id, type, payload, status, runAt, attempts, maxAttempts, lastError, result,
+ *        progress, claimed_by }
+ */
+
+const JOBS_PATH = process.env.JOBS_PATH || "../data/jobs.json";
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+function readJobs() {
+  if (!fs.existsSync(JOBS_PATH)) return [];
+  return JSON.parse(fs.readFileSync(JOBS_PATH, "utf8"));
+}
+
+function writeJobs(jobs) {
+  fs.mkdirSync(path.dirname(JOBS_PATH), { recursive: true });
+  const tmp = `${JOBS_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(jobs, null, 2));
+  fs.renameSync(tmp, JOBS_PATH);
+}
+
+// Read-modify-write under the lock (fileLock.js); fn returns whether to write
+function withJobs(fn) {
+  return withFileLock(JOBS_PATH, () => {
+    const jobs = readJobs();
+    const { changed = true, value } = fn(jobs) || {};
+    if (changed) writeJobs(jobs);
+    return value;
+  });
+}
+
+// Patch one job; a job removed from the file meanwhile is left alone
+function updateJob(id, patch) {
+  return withJobs((jobs) => {
+    const job = jobs.find((j) => j.id === id);
+    if (!job) {
+      log.warn(`⚠️ Job ${id} is no longer in ${JOBS_PATH}`);
+      return { changed: false, value: null };
+    }
+    Object.assign(job, typeof patch === "function" ? patch(job) : patch, { updated_at: new Date().toISOString() });
+    return { value: job };
+  });
+}
+
+export function backoffMs(attempts) {
+  return Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+}
+
+/**
+ * Add a job. runAt is a Date or epoch milliseconds (default: now).
+ */
+export function enqueue(type, payload, { runAt = Date.now(), maxAttempts = 5 } = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    payload,
+    status: "pending",
+    runAt: new Date(runAt).toISOString(),
+    attempts: 0,
+    maxAttempts,
+    lastError: null,
+    result: null,
+    progress: {},
+    created_at: new Date().toISOString(),
+  };
+  withJobs((jobs) => {
+    jobs.push(job);
+  });
+  return job;
+}
+
+export function listJobs(filter = {}) {
+  return readJobs().filter(
+    (j) =>
+      (!filter.status || j.status === filter.status) &&
+      (!filter.type || j.type === filter.type)
+  );
+}
+
+/**
+ * Record what a running job has already done (e.g. { postId } once the post
+ * exists), so a retry after a crash or error skips it. Merged into job.progress.
+ */
+export function saveProgress(id, progress) {
+  return updateJob(id, (job) => ({ progress: { ...(job.progress || {}), ...progress } }));
+}
+
+// A running job's process is gone (or it predates claimed_by)
+function orphaned(job) {
+  const owner = job.claimed_by;
+  if (!owner) return true;
+  if (owner.host !== os.hostname()) return false;
+  try {
+    process.kill(owner.pid, 0);
+    return false;
+  } catch (err) {
+    return err.code === "ESRCH";
+  }
+}
+
+/**
+ * Put jobs interrupted by a crash back in the queue. Jobs still running in
+ * another live process are left alone. The next attempt sees job.progress and
+ * attempts > 1, so handlers check what the interrupted attempt already did.
+ */
+export function recoverStaleJobs() {
+  return withJobs((jobs) => {
+    let n = 0;
+    for (const j of jobs) {
+      if (j.status === "running" && orphaned(j)) {
+        Object.assign(j, { status: "pending", claimed_by: null, updated_at: new Date().toISOString() });
+        n++;
+      }
+    }
+    return { changed: n > 0, value: n };
+  });
+}
+
+// Take the next due job under the lock: "running", claimed by this process.
+// The status check and the claim are one locked write, so two processes
+// working the same queue never run the same job. Jobs of a type this process
+// has no handler for stay pending for a process that has one.
+function claimNext(handlers, now) {
+  return withJobs((jobs) => {
+    for (const job of jobs) {
+      if (job.status !== "pending" || new Date(job.runAt).getTime() > now) continue;
+      if (!handlers[job.type]) continue;
+      Object.assign(job, {
+        status: "running",
+        attempts: job.attempts + 1,
+        claimed_by: { pid: process.pid, host: os.hostname() },
+        updated_at: new Date().toISOString(),
+      });
+      return { value: job };
+    }
+    return { changed: false, value: null };
+  });
+}
+
+/**
+ * Run every pending job whose runAt has passed, one at a time.
+ * handlers: { [type]: async (payload, job) => result }
+ * Jobs queued while running (runAt after `now`) wait for the next call.
+ */
+export async function runDueJobs(handlers, now = Date.now()) {
+  let done = 0;
+  for (let job = claimNext(handlers, now); job; job = claimNext(handlers, now)) {
+    const { attempts } = job;
+    try {
+      const result = await handlers[job.type](job.payload, job);
+      updateJob(job.id, { status: "done", result: result ?? null, lastError: null, claimed_by: null });
+      count(`${job.type}_jobs_done`);
+      done++;
+    } catch (err) {
+      const message = err?.response?.data?.error?.message || err.message;
+      if (err.retryable === false || attempts >= job.maxAttempts) {
+        updateJob(job.id, { status: "failed", lastError: message, claimed_by: null });
+        log.error(`❌ Job ${job.type} ${job.id} failed: ${message}`, { job: job.id, attempts });
+        count(`${job.type}_jobs_failed`);
+      } else {
+        const delay = Math.max(backoffMs(attempts), err.retryAfterMs || 0);
+        const runAt = new Date(Date.now() + delay).toISOString();
+        updateJob(job.id, { status: "pending", runAt, lastError: message, claimed_by: null });
+        log.warn(`🔁 Job ${job.type} ${job.id} retry #${attempts} at ${runAt}: ${message}`, { job: job.id });
+        count(`${job.type}_jobs_retried`);
+      }
+    }
+  }
+  return done;
+}
+
+/**
+ * Poll the queue forever (until stop() is called). With `runName`, every poll
+ * that ran a job writes a run report (runReport.js) with the jobs done, failed
+ * and retried per type.
+ */
+export function startWorker(handlers, { intervalMs = 15 * 1000, runName = null } = {}) {
+  const recovered = recoverStaleJobs();
+  if (recovered) log.info(`♻️ Recovered ${recovered} interrupted job(s)`);
+
+  const counters = Object.keys(handlers).flatMap((type) =>
+    ["done", "failed", "retried"].map((outcome) => `${type}_jobs_${outcome}`)
+  );
+  let timer = null;
+  let stopped = false;
+  const tick = async () => {
+    if (runName) startRun(runName, { counters });
+    try {
+      await runDueJobs(handlers);
+      if (runName) {
+        const ran = counters.some((key) => currentRun().counters[key] > 0);
+        if (ran) log.info(`📋 Run report: ${finishRun()}`);
+        else discardRun();
+      }
+    } catch (err) {
+      log.error("❌ Worker tick failed", { err });
+      if (runName) finishRun({ error: err });
+    }
+    if (!stopped) timer = setTimeout(tick, intervalMs);
+  };
+  tick();
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    },
+  };
+}
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Long-running worker for the on-disk job queue (../data/jobs.json).
+ * Delivers scheduled posts and their follow-up "link in comment" jobs,
+ * and runs the recurring post insights collection (insights.js).
+ * Every poll that ran jobs writes a "worker" run report (runReport.js).
+ *
+ * Run:
+ * node jobWorker.js
+ */
+
+import { startWorker } from "./jobQueue.js";
+import { jobHandlers } from "./facebookPoster.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("worker");
+
+const INTERVAL_MS = Number(process.env.JOB_POLL_MS || 15000);
+
+log.info(`👷 Job worker started (polling every ${INTERVAL_MS / 1000}s)`);
+const worker = startWorker(jobHandlers, { intervalMs: INTERVAL_MS, runName: "worker" });
+
+process.on("SIGINT", () => {
+  worker.stop();
+  log.info("👋 Job worker stopped");
+  process.exit(0);
+});
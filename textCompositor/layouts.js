@@ -0,0 +1,116 @@
+import fs from "fs";
+import path from "path";
+import { matchesFilters } from "./articleFilters.js";
+
+/**
+ * Photocard layout templates (LAYOUTS_DIR, default ./layouts/*.json).
+ *
+ * {
+ *   "name": "default",
+ *   "preset": "feed", "slide": 1,                              // see PRESETS; slide 2+ = carousel pages
+ *   "template": "../templates/version-1.png",                   // background, cover-fitted to the card size;
+ *                                                               // its black window gets the photo
+ *   // …or, without a template image:
+ *   "width": 1080, "height": 1920, "background": "#ffffff", "photo": { "l": 0, "t": 0, "r": 1, "b": 0.55 },
+ *   "match": { "domain": ["kalbela"], "category": ["খেলা"] },   // optional, like targets.json filters
+ *   "shapes": [ { "type": "rect" | "roundRect", "box": {l,t,r,b}, "color": "#C4161C", "radius": 0.02 } ],
+ *   "slots": [
+ *     { "name": "title", "field": "article_title",
+ *       "box": { "l": 0.06, "t": 0.52, "r": 0.9, "b": 0.85 },   // fractions of the card size
+ *       "shift": -0.022,                                        // vertical nudge, fraction of height
+ *       "font": { "family": "HindSiliguri", "file": "../fonts/HindSiliguri-Bold.ttf", "weight": "700",
+ *                 "fallback": [ { "family": "Roboto", "file": "../fonts/Roboto-Bold.ttf" } ] },
+ *       "size": { "start": 0.04, "min": 0.035 },               // fractions of the card width
+ *       "lineHeight": 1.18, "color": "#C4161C", "align": "center", "maxLines": 3,
+ *       "balance": true,                                        // even line lengths (headlines)
+ *       "background": { "type": "roundRect", "color": "#000000aa", "radius": 0.01, "pad": 0.01 } }
+ *   ]
+ * }
+ *
+ * Template and font files are resolved from the working directory, like every other path here.
+ * For each preset/slide, an article gets the first layout whose `match` fits
+ * its domain/category, else one without `match` ("default" for the feed card);
+ * --template forces one layout for the feed card. Slots may use the computed
+ * field "excerpt" (sentence-bounded start of article_body).
+ */
+
+const LAYOUTS_DIR = process.env.LAYOUTS_DIR || "./layouts";
+
+function readLayout(file) {
+  const layout = JSON.parse(fs.readFileSync(file, "utf8"));
+  layout.name = layout.name || path.basename(file, ".json");
+  if (!Array.isArray(layout.slots) || !layout.slots.length) {
+    throw new Error(`⚠️ Layout ${file} has no slots`);
+  }
+  for (const slot of layout.slots) {
+    if (!slot.field || !slot.box || !slot.size) {
+      throw new Error(`⚠️ Layout ${layout.name}: slot ${slot.name || "?"} needs field, box and size`);
+    }
+  }
+  return layout;
+}
+
+export function loadLayouts(dir = LAYOUTS_DIR) {
+  return fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".json"))
+    .sort()
+    .map((f) => readLayout(path.join(dir, f)));
+}
+
+/**
+ * A layout by name (from the layouts dir) or by path to a JSON file.
+ */
+export function getLayout(nameOrPath, layouts = loadLayouts()) {
+  if (nameOrPath.endsWith(".json") && fs.existsSync(nameOrPath)) {
+    return readLayout(nameOrPath);
+  }
+  const layout = layouts.find((l) => l.name === nameOrPath);
+  if (!layout) throw new Error(`⚠️ Unknown layout template: ${nameOrPath}`);
+  return layout;
+}
+
+/**
+ * Output presets. A layout declares which one it draws with "preset"
+ * (default "feed") and, for carousels, which "slide" (default 1).
+ */
+export const PRESETS = {
+  feed: { width: 1080, height: 1080 },
+  story: { width: 1080, height: 1920 },
+  link: { width: 1200, height: 630 },
+};
+
+function hasMatch(layout) {
+  return layout.match && Object.keys(layout.match).length > 0;
+}
+
+/**
+ * Layout for one article/preset/slide: the first whose `match` fits, else the
+ * first without a `match` ("default" for the feed card). null when none exists.
+ */
+export function layoutForArticle(article, layouts = loadLayouts(), { preset = "feed", slide = 1 } = {}) {
+  const candidates = layouts.filter(
+    (l) => (l.preset || "feed") === preset && (l.slide || 1) === slide
+  );
+  const byMatch = candidates.find((l) => hasMatch(l) && matchesFilters(l.match, article));
+  if (byMatch) return byMatch;
+  if (preset === "feed" && slide === 1) return getLayout("default", layouts);
+  return candidates.find((l) => !hasMatch(l)) || null;
+}
+
+/**
+ * Every { family, file, weight, isFallback } used by a set of layouts, for FontLibrary registration.
+ */
+export function layoutFonts(layouts) {
+  const fonts = new Map();
+  for (const layout of layouts) {
+    for (const slot of layout.slots) {
+      for (const font of [slot.font, ...(slot.font?.fallback || [])]) {
+        if (font?.file) {
+          fonts.set(`${font.family}|${font.file}`, { ...font, isFallback: font !== slot.font });
+        }
+      }
+    }
+  }
+  return [...fonts.values()];
+}
@@ -0,0 +1,112 @@
+/**
+ * Shared logger: one call per event, with a scope and optional fields.
+ *
+ *   const log = createLogger("poster");
+ *   log.info("✅ Post created", { target: "sports", postId });
+ *   log.error("❌ Upload failed", { err });
+ *
+ * LOG_FORMAT=json writes one JSON object per line ({ ts, level, scope, msg, run, ...fields })
+ * for log shippers; the default "pretty" keeps the familiar emoji lines with
+ * fields appended as key=value. LOG_LEVEL (debug | info | warn | error, default info)
+ * drops quieter events. info/debug go to stdout, warn/error to stderr.
+ *
+ * Everything is redacted before it is written: fields named like secrets
+ * (token, secret, password, api key, authorization…), the values of such
+ * variables in the environment (FB_APP_SECRET, *_TOKEN, *_KEY…), access_token /
+ * client_secret query parameters, Facebook tokens, Telegram bot tokens and
+ * Bearer credentials. Redaction also applies to run reports (runReport.js).
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = "[redacted]";
+
+const SECRET_KEY = /(secret|token|password|passwd|api[_-]?key|authorization|cookie|signature|credential)/i;
+const SECRET_PATTERNS = [
+  [/\b(access_token|client_secret|fb_exchange_token|appsecret_proof|code)=([^&\s"']+)/gi, `$1=${REDACTED}`],
+  [/\bEAA[A-Za-z0-9]{20,}/g, REDACTED], // Facebook user/Page tokens
+  [/\bbot\d{5,}:[A-Za-z0-9_-]{20,}/g, `bot${REDACTED}`], // Telegram Bot API URLs
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, `$1 ${REDACTED}`],
+];
+
+let context = {};
+
+/**
+ * Fields added to every event from now on (runReport.js sets { run }).
+ */
+export function setLogContext(fields) {
+  context = { ...context, ...fields };
+}
+
+// Values of secret-looking env vars, longest first so overlapping ones redact fully
+function secretValues() {
+  return Object.entries(process.env)
+    .filter(([k, v]) => (SECRET_KEY.test(k) || /_KEY$/.test(k)) && v && v.length >= 6)
+    .map(([, v]) => v)
+    .sort((a, b) => b.length - a.length);
+}
+
+function redactString(s, secrets) {
+  let out = s;
+  for (const v of secrets) out = out.split(v).join(REDACTED);
+  for (const [pattern, replacement] of SECRET_PATTERNS) out = out.replace(pattern, replacement);
+  return out;
+}
+
+/**
+ * Deep copy of `value` with secrets replaced by "[redacted]".
+ */
+export function redact(value, secrets = secretValues(), depth = 0) {
+  if (typeof value === "string") return redactString(value, secrets);
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message, secrets),
+      ...(value.code !== undefined ? { code: value.code } : {}),
+    };
+  }
+  if (!value || typeof value !== "object" || depth > 6) return value;
+  if (Array.isArray(value)) return value.map((v) => redact(v, secrets, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = SECRET_KEY.test(k) && v != null && typeof v !== "object" ? REDACTED : redact(v, secrets, depth + 1);
+  }
+  return out;
+}
+
+function pretty(v) {
+  if (v && typeof v === "object") {
+    if (typeof v.message === "string" && v.name) return v.message;
+    return JSON.stringify(v);
+  }
+  return String(v);
+}
+
+function write(level, scope, msg, fields) {
+  const min = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+  if (LEVELS[level] < min) return;
+  const secrets = secretValues();
+  const text = redactString(String(msg), secrets);
+  const data = fields === undefined ? {} : redact(fields instanceof Error ? { err: fields } : fields, secrets);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+
+  if (process.env.LOG_FORMAT === "json") {
+    const event = { ts: new Date().toISOString(), level, scope, msg: text, ...redact(context, secrets), ...data };
+    stream.write(`${JSON.stringify(event)}\n`);
+    return;
+  }
+  const extra = Object.entries(data)
+    .filter(([, v]) => v !== undefined)
+    .map(([k, v]) => `${k}=${pretty(v)}`)
+    .join(" ");
+  stream.write(`${text}${extra ? ` ${extra}` : ""}\n`);
+}
+
+/**
+ * Logger for one module or script: { debug, info, warn, error }(msg, fields?).
+ * `fields` is an object (or an Error, logged as `err`).
+ */
+export function createLogger(scope) {
+  return Object.fromEntries(
+    Object.keys(LEVELS).map((level) => [level, (msg, fields) => write(level, scope, msg, fields)])
+  );
+}
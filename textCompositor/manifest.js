@@ -0,0 +1,76 @@
+import fs from "fs";
+import path from "path";
+import { idOf } from "./articleId.js";
+
+/**
+ * Run manifest shared by the `domka` stages (MANIFEST_PATH, default ../output/manifest.json).
+ *
+ * {
+ *   "stages": { "score": { "status": "done", "finished_at": "..." }, ... },
+ *   "scored_path": "../articles/article_filtered-2.json",
+ *   "articles": [
+ *     { "key": "<article id>", "title", "score", "photocard", "warnings",
+ *       "media": [{ preset, slide, path }],
+ *       "posts": [{ target, jobId, postId }],
+ *       "test_posts": [{ target, jobId, postId }],    // --page-test posts, kept apart
+ *       "held": ["reason", ...] }                      // stopped by the policy gate (policyGate.js)
+ *   ]
+ * }
+ *
+ * Image files are named by article ID, so entries stay valid when a
+ * re-score reorders the list. A failed run resumes from the first stage not "done".
+ */
+
+export const STAGES = ["score", "render", "publish"];
+
+export const MANIFEST_PATH = process.env.MANIFEST_PATH || "../output/manifest.json";
+
+export function newManifest() {
+  return {
+    created_at: new Date().toISOString(),
+    stages: Object.fromEntries(STAGES.map((s) => [s, { status: "pending" }])),
+    scored_path: null,
+    articles: [],
+  };
+}
+
+export function loadManifest(manifestPath = MANIFEST_PATH) {
+  if (!fs.existsSync(manifestPath)) return newManifest();
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+export function saveManifest(manifest, manifestPath = MANIFEST_PATH) {
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  manifest.updated_at = new Date().toISOString();
+  const tmp = `${manifestPath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2));
+  fs.renameSync(tmp, manifestPath);
+}
+
+export function markStage(manifest, stage, status, extra = {}) {
+  manifest.stages[stage] = {
+    ...extra,
+    status,
+    [status === "running" ? "started_at" : "finished_at"]: new Date().toISOString(),
+  };
+  // Re-running a stage invalidates everything downstream of it
+  if (status === "running") {
+    for (const s of STAGES.slice(STAGES.indexOf(stage) + 1)) {
+      manifest.stages[s] = { status: "pending" };
+    }
+  }
+}
+
+/**
+ * First stage that has not completed, or null when the run is finished.
+ */
+export function resumeStage(manifest) {
+  return STAGES.find((s) => manifest.stages[s]?.status !== "done") || null;
+}
+
+/**
+ * Identity of an article across stages (see articleId.js).
+ */
+export function articleKey(article) {
+  return idOf(article);
+}
@@ -0,0 +1,148 @@
+import { latestReports } from "./runReport.js";
+import { listJobs } from "./jobQueue.js";
+import { reviewCounts } from "./editorial.js";
+import { loadStore } from "./ingest.js";
+
+/**
+ * Prometheus text exposition for GET /metrics (index.js).
+ *
+ * Read from disk on every scrape, so they cover what the pipeline scripts and
+ * the job worker did in their own processes:
+ *   domka_run_last_*            newest run report per run name (runReport.js)
+ *   domka_jobs                  job queue by type and status; domka_jobs_overdue
+ *                               counts pending jobs more than 5 min late (worker down?)
+ *   domka_review_items          editorial queue by status
+ *   domka_ingested_articles     articles in the ingestion store
+ * plus this server's own HTTP traffic (metricsMiddleware).
+ *
+ * Alert on e.g. time() - domka_run_last_finished_timestamp_seconds{run="domka-run"} > 26*3600,
+ * or domka_run_last_count{run="domka-run",counter="posts_queued"} == 0; delivered
+ * and failed posts are the "worker" run's publish_jobs_done / publish_jobs_failed.
+ */
+
+const OVERDUE_MS = 5 * 60 * 1000;
+
+const http = new Map(); // "method route status" → { count, seconds }
+
+/**
+ * Express middleware counting requests by method, route pattern and status.
+ */
+export function metricsMiddleware(req, res, next) {
+  const start = process.hrtime.bigint();
+  res.on("finish", () => {
+    const route = req.route?.path ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    const key = JSON.stringify([req.method, route, String(res.statusCode)]);
+    const entry = http.get(key) || { count: 0, seconds: 0 };
+    entry.count++;
+    entry.seconds += Number(process.hrtime.bigint() - start) / 1e9;
+    http.set(key, entry);
+  });
+  next();
+}
+
+function esc(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function labels(obj) {
+  const parts = Object.entries(obj).map(([k, v]) => `${k}="${esc(v)}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+// One metric family: # HELP / # TYPE, then its samples [[labels, value]]
+function family(name, type, help, samples) {
+  return [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...samples.map(([l, v]) => `${name}${labels(l)} ${Number.isFinite(v) ? v : 0}`),
+  ].join("\n");
+}
+
+const seconds = (iso) => (iso ? Date.parse(iso) / 1000 : 0);
+
+export function renderMetrics({ now = Date.now() } = {}) {
+  const runs = Object.values(latestReports());
+  const jobs = listJobs();
+
+  const byJob = new Map();
+  for (const j of jobs) {
+    const key = JSON.stringify([j.type, j.status]);
+    byJob.set(key, (byJob.get(key) || 0) + 1);
+  }
+  const overdue = jobs.filter((j) => j.status === "pending" && Date.parse(j.runAt) < now - OVERDUE_MS).length;
+
+  const out = [
+    family(
+      "domka_run_last_started_timestamp_seconds",
+      "gauge",
+      "Start of the newest run, per run name",
+      runs.map((r) => [{ run: r.name }, seconds(r.started_at)])
+    ),
+    family(
+      "domka_run_last_finished_timestamp_seconds",
+      "gauge",
+      "End of the newest run, per run name",
+      runs.map((r) => [{ run: r.name }, seconds(r.finished_at)])
+    ),
+    family(
+      "domka_run_last_duration_seconds",
+      "gauge",
+      "Wall time of the newest run",
+      runs.map((r) => [{ run: r.name }, (r.duration_ms || 0) / 1000])
+    ),
+    family(
+      "domka_run_last_success",
+      "gauge",
+      "1 when the newest run finished without error",
+      runs.map((r) => [{ run: r.name }, r.status === "ok" ? 1 : 0])
+    ),
+    family(
+      "domka_run_last_count",
+      "gauge",
+      "Counters of the newest run (articles scored, cards rendered, posts queued…)",
+      runs.flatMap((r) => Object.entries(r.counters || {}).map(([counter, v]) => [{ run: r.name, counter }, v]))
+    ),
+    family(
+      "domka_run_last_stage_seconds",
+      "gauge",
+      "Time spent per stage in the newest run",
+      runs.flatMap((r) => Object.entries(r.timings_ms || {}).map(([stage, ms]) => [{ run: r.name, stage }, ms / 1000]))
+    ),
+    family(
+      "domka_jobs",
+      "gauge",
+      "Jobs in the queue by type and status",
+      [...byJob].map(([key, n]) => {
+        const [type, status] = JSON.parse(key);
+        return [{ type, status }, n];
+      })
+    ),
+    family("domka_jobs_overdue", "gauge", "Pending jobs more than 5 minutes past their run time", [[{}, overdue]]),
+    family(
+      "domka_review_items",
+      "gauge",
+      "Editorial review items by status",
+      Object.entries(reviewCounts()).map(([status, n]) => [{ status }, n])
+    ),
+    family("domka_ingested_articles", "gauge", "Articles in the ingestion store", [[{}, loadStore().length]]),
+    family(
+      "domka_http_requests_total",
+      "counter",
+      "HTTP requests served by this process",
+      [...http].map(([key, e]) => {
+        const [method, route, status] = JSON.parse(key);
+        return [{ method, route, status }, e.count];
+      })
+    ),
+    family(
+      "domka_http_request_duration_seconds_sum",
+      "counter",
+      "Total time spent serving HTTP requests",
+      [...http].map(([key, e]) => {
+        const [method, route, status] = JSON.parse(key);
+        return [{ method, route, status }, Math.round(e.seconds * 1e6) / 1e6];
+      })
+    ),
+  ];
+  return `${out.join("\n")}\n`;
+}
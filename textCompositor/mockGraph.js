@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+import express from "express";
+import { pathToFileURL } from "url";
+
+/**
+ * Local stand-in for the Graph API endpoints this project uses, so posting can
+ * be exercised offline:
+ *
+ *   node mockGraph.js --port 4010
+ *   GRAPH_BASE_URL=http://localhost:4010 node jobWorker.js
+ *
+ * Serves (under any /vXX.X/ prefix): POST {page}/photos, POST {page}/feed,
+ * POST {ig-user}/media and /media_publish (Instagram containers, FINISHED at once),
+ * POST {post}/comments, GET {post}, GET {post}/insights, GET oauth/access_token,
+ * GET me, GET me/accounts, and the listings a retried job checks first:
+ * GET {page}/feed, GET {page}/scheduled_posts, GET {ig-user}/media, GET {post}/comments.
+ * Every request is recorded in `requests`; `failNext(...)` scripts error responses (e.g. code 190, subcode 1366051, rate limits with usage
+ * headers); `stats.set(postId, { reach, reactions, comments, shares, link_clicks })`
+ * sets what a post's engagement fields and insights report.
+ */
+
+// Text fields of a multipart body; file parts are recorded by name only
+function multipartFields(req) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/.exec(req.headers["content-type"] || "");
+  if (!m || !Buffer.isBuffer(req.body)) return {};
+  const fields = {};
+  for (const part of req.body.toString("latin1").split(`--${m[1] || m[2]}`)) {
+    const head = /name="([^"]+)"(; filename="([^"]*)")?/.exec(part);
+    if (!head) continue;
+    const value = part.slice(part.indexOf("\r\n\r\n") + 4).replace(/\r\n$/, "");
+    fields[head[1]] = head[2] ? `<file ${head[3]}>` : Buffer.from(value, "latin1").toString("utf8");
+  }
+  return fields;
+}
+
+/**
+ * Start the mock. Resolves to { url, requests, posts, stats, failNext, close }.
+ * `url` goes in GRAPH_BASE_URL (or createGraphClient({ baseUrl })).
+ */
+export function startMockGraph({ port = 0 } = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(express.raw({ type: "multipart/form-data", limit: "50mb" }));
+
+  const requests = [];
+  const posts = new Map();
+  const stats = new Map();
+  const comments = new Map(); // postId → [{ id, message }]
+  const failures = [];
+  let nextId = 1000;
+
+  /**
+   * Answer the next matching request with an error:
+   * failNext({ code: 190 }), failNext({ subcode: 1366051 }, { path: /feed$/ }),
+   * failNext({ code: 4 }, { times: 2, headers: { "x-app-usage": '{"call_count":100}' } }).
+   */
+  function failNext({ code = 1, subcode, message = "Mock Graph error", isTransient, status = 400 } = {}, opts = {}) {
+    failures.push({
+      path: opts.path || null,
+      times: opts.times || 1,
+      status,
+      headers: opts.headers || {},
+      error: {
+        message,
+        type: "OAuthException",
+        code,
+        ...(subcode ? { error_subcode: subcode } : {}),
+        ...(isTransient !== undefined ? { is_transient: isTransient } : {}),
+        fbtrace_id: "mock",
+      },
+    });
+  }
+
+  app.use((req, res, next) => {
+    const fields = req.is("multipart/form-data") ? multipartFields(req) : { ...(req.body || {}) };
+    const version = /^\/(v\d+\.\d+)\//.exec(req.path)?.[1] || null;
+    const path = req.path.replace(/^\/v\d+\.\d+\//, "");
+    requests.push({ method: req.method, version, path, query: { ...req.query }, fields });
+    req.graphPath = path;
+    req.fields = fields;
+
+    const i = failures.findIndex((f) => !f.path || f.path.test(path));
+    if (i >= 0) {
+      const f = failures[i];
+      if (--f.times <= 0) failures.splice(i, 1);
+      return res.status(f.status).set(f.headers).json({ error: f.error });
+    }
+    if (!req.query.access_token && !fields.access_token && !path.startsWith("oauth/")) {
+      return res.status(400).json({ error: { message: "An access token is required", code: 104 } });
+    }
+    next();
+  });
+
+  app.get(/^\/v\d+\.\d+\/oauth\/access_token$/, (req, res) => {
+    res.json({ access_token: `mock-user-token-${nextId++}`, token_type: "bearer" });
+  });
+  app.get(/^\/v\d+\.\d+\/me\/accounts$/, (req, res) => {
+    res.json({ data: [{ id: "mock-page", name: "Mock Page", access_token: "mock-page-token" }] });
+  });
+  app.get(/^\/v\d+\.\d+\/me$/, (req, res) => {
+    res.json({ id: "mock-user", name: "Mock User" });
+  });
+  app.post(/^\/v\d+\.\d+\/[^/]+\/photos$/, (req, res) => {
+    const pageId = req.graphPath.split("/")[0];
+    const id = String(nextId++);
+    if (req.fields.published === "false") return res.json({ id });
+    const postId = `${pageId}_${nextId++}`;
+    posts.set(postId, {
+      id: postId,
+      message: req.fields.caption,
+      is_published: true,
+      created_time: new Date().toISOString(),
+    });
+    res.json({ id, post_id: postId });
+  });
+  app.post(/^\/v\d+\.\d+\/[^/]+\/feed$/, (req, res) => {
+    const pageId = req.graphPath.split("/")[0];
+    const id = `${pageId}_${nextId++}`;
+    posts.set(id, {
+      id,
+      message: req.fields.message,
+      link: req.fields.link,
+      is_published: !req.fields.scheduled_publish_time,
+      scheduled_publish_time: req.fields.scheduled_publish_time || null,
+      created_time: req.fields.scheduled_publish_time
+        ? new Date(Number(req.fields.scheduled_publish_time) * 1000).toISOString()
+        : new Date().toISOString(),
+    });
+    res.json({ id });
+  });
+  app.post(/^\/v\d+\.\d+\/[^/]+\/media$/, (req, res) => {
+    const id = `container_${nextId++}`;
+    posts.set(id, { id, status_code: "FINISHED", ...req.fields });
+    res.json({ id });
+  });
+  app.post(/^\/v\d+\.\d+\/[^/]+\/media_publish$/, (req, res) => {
+    const container = posts.get(req.fields.creation_id);
+    if (!container) {
+      return res.status(400).json({ error: { message: "Invalid creation_id", code: 100 } });
+    }
+    const id = `ig_${nextId++}`;
+    posts.set(id, {
+      id,
+      owner: req.graphPath.split("/")[0],
+      caption: container.caption,
+      children: container.children || null,
+      is_published: true,
+      created_time: new Date().toISOString(),
+    });
+    res.json({ id });
+  });
+  app.post(/^\/v\d+\.\d+\/[^/]+\/comments$/, (req, res) => {
+    const postId = req.graphPath.split("/")[0];
+    const id = `${postId}_c${nextId++}`;
+    comments.set(postId, [...(comments.get(postId) || []), { id, message: req.fields.message }]);
+    res.json({ id });
+  });
+  app.get(/^\/v\d+\.\d+\/[^/]+\/comments$/, (req, res) => {
+    const list = comments.get(req.graphPath.split("/")[0]) || [];
+    res.json({ data: list.map((c) => ({ id: c.id, message: c.message, text: c.message })) });
+  });
+  // Page posts, newest first: published ones on /feed, the rest on /scheduled_posts
+  const pagePosts = (pageId, published) =>
+    [...posts.values()]
+      .filter((p) => p.id.startsWith(`${pageId}_`) && !!p.is_published === published)
+      .reverse();
+  app.get(/^\/v\d+\.\d+\/[^/]+\/feed$/, (req, res) => {
+    res.json({ data: pagePosts(req.graphPath.split("/")[0], true) });
+  });
+  app.get(/^\/v\d+\.\d+\/[^/]+\/scheduled_posts$/, (req, res) => {
+    res.json({ data: pagePosts(req.graphPath.split("/")[0], false) });
+  });
+  app.get(/^\/v\d+\.\d+\/[^/]+\/media$/, (req, res) => {
+    const owner = req.graphPath.split("/")[0];
+    res.json({ data: [...posts.values()].filter((p) => p.owner === owner).reverse() });
+  });
+  app.get(/^\/v\d+\.\d+\/[^/]+\/insights$/, (req, res) => {
+    const s = stats.get(req.graphPath.split("/")[0]) || {};
+    res.json({
+      data: [
+        { name: "post_impressions_unique", period: "lifetime", values: [{ value: s.reach || 0 }] },
+        {
+          name: "post_clicks_by_type",
+          period: "lifetime",
+          values: [{ value: { "link clicks": s.link_clicks || 0, "photo view": 0, "other clicks": 0 } }],
+        },
+      ],
+    });
+  });
+  app.get(/^\/v\d+\.\d+\/[^/]+$/, (req, res) => {
+    const post = posts.get(req.graphPath);
+    if (!post) {
+      return res.status(404).json({ error: { message: "Unsupported get request", code: 100, error_subcode: 33 } });
+    }
+    // Scheduled posts go live at their scheduled_publish_time
+    const live = post.is_published || Number(post.scheduled_publish_time) * 1000 <= Date.now();
+    const s = stats.get(req.graphPath) || {};
+    res.json({
+      ...post,
+      is_published: live,
+      reactions: { data: [], summary: { total_count: s.reactions || 0 } },
+      comments: { data: [], summary: { total_count: s.comments || 0 } },
+      ...(s.shares ? { shares: { count: s.shares } } : {}),
+    });
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        posts,
+        stats,
+        failNext,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const i = process.argv.indexOf("--port");
+  const port = Number(i >= 0 ? process.argv[i + 1] : 4010);
+  startMockGraph({ port }).then(({ url }) => {
+    console.log(`🧪 Mock Graph API on ${url} — set GRAPH_BASE_URL=${url}`);
+  });
+}
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+import express from "express";
+import { pathToFileURL } from "url";
+
+/**
+ * Local stand-in for the Telegram Bot API calls the telegram publisher makes
+ * (publishers.js), so channel posting can be exercised offline:
+ *
+ *   node mockTelegram.js --port 4020
+ *   TELEGRAM_API_URL=http://localhost:4020 node jobWorker.js
+ *
+ * Serves POST /bot{token}/sendPhoto and /bot{token}/sendMediaGroup. Every call
+ * is recorded in `requests` ({ method, token, fields, files }); `failNext(...)`
+ * scripts Bot API errors (e.g. 429 with retry_after, 403 bot not in channel).
+ */
+
+// Multipart parts: text fields by name, file parts as their file names
+function multipart(req) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/.exec(req.headers["content-type"] || "");
+  const fields = {};
+  const files = {};
+  if (!m || !Buffer.isBuffer(req.body)) return { fields, files };
+  for (const part of req.body.toString("latin1").split(`--${m[1] || m[2]}`)) {
+    const head = /name="([^"]+)"(; filename="([^"]*)")?/.exec(part);
+    if (!head) continue;
+    if (head[2]) {
+      files[head[1]] = head[3];
+      continue;
+    }
+    const value = part.slice(part.indexOf("\r\n\r\n") + 4).replace(/\r\n$/, "");
+    fields[head[1]] = Buffer.from(value, "latin1").toString("utf8");
+  }
+  return { fields, files };
+}
+
+/**
+ * Start the stub. Resolves to { url, requests, failNext, close }.
+ */
+export function startMockTelegram({ port = 0 } = {}) {
+  const app = express();
+  app.use(express.raw({ type: "multipart/form-data", limit: "50mb" }));
+
+  const requests = [];
+  const failures = [];
+  let nextMessageId = 1;
+
+  /**
+   * failNext({ code: 429, description: "Too Many Requests", retryAfter: 5 })
+   */
+  function failNext({ code = 400, description = "Bad Request", retryAfter } = {}) {
+    failures.push({
+      status: code,
+      body: {
+        ok: false,
+        error_code: code,
+        description,
+        ...(retryAfter ? { parameters: { retry_after: retryAfter } } : {}),
+      },
+    });
+  }
+
+  app.post("/bot:token/:method", (req, res) => {
+    const { fields, files } = multipart(req);
+    requests.push({ method: req.params.method, token: req.params.token, fields, files });
+    if (failures.length) {
+      const f = failures.shift();
+      return res.status(f.status).json(f.body);
+    }
+    const message = () => ({
+      message_id: nextMessageId++,
+      chat: { id: fields.chat_id },
+      date: Math.floor(Date.now() / 1000),
+    });
+    if (req.params.method === "sendPhoto") {
+      return res.json({ ok: true, result: { ...message(), caption: fields.caption } });
+    }
+    if (req.params.method === "sendMediaGroup") {
+      const media = JSON.parse(fields.media || "[]");
+      return res.json({ ok: true, result: media.map(() => message()) });
+    }
+    res.status(404).json({ ok: false, error_code: 404, description: "Not Found" });
+  });
+
+  return new Promise((resolve) => {
+    const server = app.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        failNext,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const i = process.argv.indexOf("--port");
+  const port = Number(i >= 0 ? process.argv[i + 1] : 4020);
+  startMockTelegram({ port }).then(({ url }) => {
+    console.log(`🧪 Mock Telegram Bot API on ${url} — set TELEGRAM_API_URL=${url}`);
+  });
+}
@@ -0,0 +1,179 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Model backends for article scoring. Every backend has the same shape:
+ *   { name, model, generate(prompt) → Promise<string> }
+ *
+ * Select with MODEL_BACKEND (default "ollama"); each backend reads its own
+ * settings from .env:
+ *
+ *   ollama             OLLAMA_BASE_URL  OLLAMA_MODEL  OLLAMA_TIMEOUT_MS  OLLAMA_TEMPERATURE
+ *   openai             OPENAI_BASE_URL  OPENAI_MODEL  OPENAI_TIMEOUT_MS  OPENAI_TEMPERATURE  OPENAI_API_KEY
+ *   openai-compatible  COMPAT_BASE_URL  COMPAT_MODEL  COMPAT_TIMEOUT_MS  COMPAT_TEMPERATURE  COMPAT_API_KEY
+ *                      (llama.cpp server, vLLM, LM Studio… anything serving /v1/chat/completions)
+ *   fixture            FIXTURE_PATH (default ./fixtures/model-responses.json)
+ *                      FIXTURE_RECORD=<backend> records that backend's answers instead of replaying
+ */
+
+function envNumber(key, def) {
+  const v = process.env[key];
+  return v === undefined || v === "" ? def : Number(v);
+}
+
+async function postJson(url, body, { headers = {}, timeoutMs }) {
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) {
+    throw new Error(`${url} → HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`);
+  }
+  return res;
+}
+
+// ---- backends -------------------------------------------------------
+
+function ollamaBackend({
+  baseUrl = process.env.OLLAMA_BASE_URL || "http://localhost:11434",
+  model = process.env.OLLAMA_MODEL || "llama3.2",
+  timeoutMs = envNumber("OLLAMA_TIMEOUT_MS", 120000),
+  temperature = envNumber("OLLAMA_TEMPERATURE", 0.7),
+} = {}) {
+  return {
+    name: "ollama",
+    model,
+    async generate(prompt) {
+      const res = await postJson(
+        `${baseUrl.replace(/\/+$/, "")}/api/generate`,
+        { model, prompt, options: { temperature } },
+        { timeoutMs }
+      );
+      let text = "";
+      for await (const chunk of res.body) text += Buffer.from(chunk).toString();
+      const parsed = text
+        .split("\n")
+        .filter(Boolean)
+        .map((l) => JSON.parse(l).response)
+        .join("");
+      return parsed.trim();
+    },
+  };
+}
+
+/**
+ * OpenAI chat completions. Also serves any OpenAI-compatible server.
+ */
+function chatCompletionsBackend({ name, baseUrl, model, apiKey, timeoutMs, temperature }) {
+  return {
+    name,
+    model,
+    async generate(prompt) {
+      const res = await postJson(
+        `${baseUrl.replace(/\/+$/, "")}/chat/completions`,
+        {
+          model,
+          messages: [{ role: "user", content: prompt }],
+          temperature,
+        },
+        { headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}, timeoutMs }
+      );
+      const data = await res.json();
+      return data.choices?.[0]?.message?.content?.trim() || "";
+    },
+  };
+}
+
+function openaiBackend(opts = {}) {
+  if (!(opts.apiKey || process.env.OPENAI_API_KEY)) {
+    throw new Error("⚠️ Missing OPENAI_API_KEY in .env");
+  }
+  return chatCompletionsBackend({
+    name: "openai",
+    baseUrl: process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    apiKey: process.env.OPENAI_API_KEY,
+    timeoutMs: envNumber("OPENAI_TIMEOUT_MS", 60000),
+    temperature: envNumber("OPENAI_TEMPERATURE", 0.7),
+    ...opts,
+  });
+}
+
+function openaiCompatibleBackend(opts = {}) {
+  return chatCompletionsBackend({
+    name: "openai-compatible",
+    baseUrl: process.env.COMPAT_BASE_URL || "http://localhost:8080/v1",
+    model: process.env.COMPAT_MODEL || "local",
+    apiKey: process.env.COMPAT_API_KEY,
+    timeoutMs: envNumber("COMPAT_TIMEOUT_MS", 120000),
+    temperature: envNumber("COMPAT_TEMPERATURE", 0.7),
+    ...opts,
+  });
+}
+
+export function promptKey(prompt) {
+  return crypto.createHash("sha256").update(prompt).digest("hex").slice(0, 16);
+}
+
+/**
+ * Deterministic replay of recorded answers, keyed by a hash of the prompt.
+ * A "*" entry answers every prompt that has no recording of its own.
+ * With `record` set to another backend, answers are fetched and saved instead;
+ * the file is re-read after each answer arrives, so recordings made in parallel
+ * (SCORE_CONCURRENCY) are merged rather than overwriting each other.
+ */
+function fixtureBackend({
+  fixturePath = process.env.FIXTURE_PATH || "./fixtures/model-responses.json",
+  record = process.env.FIXTURE_RECORD ? createBackend(process.env.FIXTURE_RECORD) : null,
+} = {}) {
+  const load = () =>
+    fs.existsSync(fixturePath) ? JSON.parse(fs.readFileSync(fixturePath, "utf8")) : {};
+  return {
+    name: "fixture",
+    model: record ? record.model : "fixture",
+    async generate(prompt) {
+      const key = promptKey(prompt);
+      if (record) {
+        const answer = await record.generate(prompt);
+        const fixtures = { ...load(), [key]: answer };
+        fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+        const tmp = `${fixturePath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(fixtures, null, 2));
+        fs.renameSync(tmp, fixturePath);
+        return answer;
+      }
+      const fixtures = load();
+      const answer = fixtures[key] ?? fixtures["*"];
+      if (answer === undefined) {
+        throw new Error(`No fixture for prompt ${key} in ${fixturePath}`);
+      }
+      return answer;
+    },
+  };
+}
+
+const BACKENDS = {
+  ollama: ollamaBackend,
+  openai: openaiBackend,
+  "openai-compatible": openaiCompatibleBackend,
+  fixture: fixtureBackend,
+};
+
+/**
+ * Build a backend by name. Unknown names fail here, before any article is loaded.
+ */
+export function createBackend(name = process.env.MODEL_BACKEND || "ollama", opts = {}) {
+  const factory = BACKENDS[name];
+  if (!factory) {
+    throw new Error(
+      `⚠️ Unknown MODEL_BACKEND "${name}" (available: ${Object.keys(BACKENDS).join(", ")})`
+    );
+  }
+  return factory(opts);
+}
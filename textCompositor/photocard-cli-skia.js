@@ -1,86 +1,47 @@
 #!/usr/bin/env node
 /**
- * Photocard CLI (Text-only overlay on pre-rendered image+template combo)
+ * Photocard CLI (template + article photo + text, in one pass)
  *
- * - Expects each article's template+image to exist at: ../photocards/photocard-image-only/${index}.png
- * - Overlays only: category (as transparent text), title, date, source
- * - Saves output to: ./photocards/prothomalo-photocard-skia/${index}.png
+ * - Composites each article_image (URL or local path) into the layout's template PNG
+ *   (compositor.js); --template-image overrides the template PNG for every card
+ * - With --in, a pre-rendered base at ${in}/${id}.png is used instead when it exists
+ * - Overlays the text slots of a layout template (layouts/*.json, see layouts.js):
+ *   picked with --template <name|file.json>, else by article domain/category
+ * - Saves output to: ./photocards/prothomalo-photocard-skia/${id}.png
+ * - ${id} is the article's stable ID (articleId.js), never its position in the JSON
+ * - Renders each requested preset (feed 1080×1080, story 1080×1920, link 1200×630) with
+ *   its own layout; --carousel adds slide 2+ layouts (e.g. a body excerpt) as ${id}-2.ext
+ * - Writes render-report.json next to the cards, with per-card overflow warnings
  *
  * Run:
  * node photocard-cli-skia.js \
  *   --json ./articles/prothomalo.json \
- *   --in ./photocards/photocard-image-only \
  *   --out ./photocards/prothomalo-photocard-skia \
- *   --font ./fonts/HindSiliguri-Bold.ttf
+ *   [--template default] [--template-image ../templates/version-1.png] [--in ./photocards/photocard-image-only]
+ *   [--font ./fonts/HindSiliguri-Bold.ttf]
+ *   [--presets feed,story,link] [--format png|jpeg|webp] [--quality 0.85] [--carousel]
  */
 
 import fs from "fs";
 import path from "path";
+import { pathToFileURL } from "url";
+import { idOf } from "./articleId.js";
+import { loadLayouts, getLayout, layoutForArticle, layoutFonts } from "./layouts.js";
+import { fitText, excerpt } from "./textLayout.js";
+import { cardFileName, FORMAT_EXT } from "./cardFiles.js";
+import { createLogger } from "./logger.js";
+import { startRun, finishRun, count } from "./runReport.js";
+import { composeBase, composeBlank } from "./compositor.js";
 import { Canvas, FontLibrary, loadImage } from "skia-canvas";
 
+const log = createLogger("render");
+
 const args = process.argv.slice(2);
 function argVal(key, def) {
   const i = args.indexOf(key);
   return i >= 0 && args[i + 1] ? args[i + 1] : def;
 }
 
-const JSON_PATH = argVal("--json", "../articles/article_filtered-2.json");
-const IN_DIR = argVal("--in", "../photocards/photocard-image-only");
-const OUT_DIR = argVal("--out", "../photocards/photocard-skia");
-const FONT_PATH = argVal("--font", "../fonts/HindSiliguri-Bold.ttf");
-const LIMIT = Number(argVal("--limit", "0"));
-
-const COLORS = {
-  red: "#C4161C",
-  dark: "#222222",
-  mid: "#4A4A4A",
-  white: "#ffffff",
-};
-
-const BOX = {
-  TITLE: { l: 0.06, t: 0.52, r: 0.9, b: 0.85 },
-  DATE: { l: 0.4, t: 0.84, r: 0.6, b: 0.875 },
-  SRC: { l: 0.36, t: 0.895, r: 0.64, b: 0.93 },
-};
-
-const SHIFT = {
-  TITLE: -0.022,
-  DATE: -0.035,
-  SRC: -0.05,
-  PILL: 0.065,
-};
-
-const FONTS = {
-  TITLE: {
-    start: 0.04,
-    min: 0.035,
-    lineHeight: 1.18,
-    color: COLORS.red,
-    align: "center",
-  },
-  DATE: {
-    start: 0.018,
-    min: 0.012,
-    lineHeight: 1.12,
-    color: COLORS.mid,
-    align: "center",
-  },
-  SRC: {
-    start: 0.018,
-    min: 0.012,
-    lineHeight: 1.12,
-    color: COLORS.dark,
-    align: "center",
-  },
-  PILL: {
-    start: 0.018,
-    min: 0.014,
-    lineHeight: 1.0,
-    color: COLORS.white,
-    align: "center",
-  },
-};
-
 function pxBox(boxPerc, W, H) {
   const l = Math.round(boxPerc.l * W);
   const t = Math.round(boxPerc.t * H);
@@ -93,112 +54,281 @@ function ensureDir(p) {
   fs.mkdirSync(p, { recursive: true });
 }
 
-function drawTextAutoshrink(ctx, text, box, dyPx, style, fontFamily, weight = "700") {
+// CSS font shorthand with the slot's fallback families, so Latin runs,
+// digits or emoji missing from the Bangla font are drawn from the next family
+function fontString(slot, px) {
+  const { family, weight = "700", fallback = [] } = slot.font || {};
+  const families = [family, ...fallback.map((f) => f.family)].filter(Boolean);
+  return `${weight} ${px}px ${families.map((f) => `"${f}"`).join(", ")}`;
+}
+
+/**
+ * Fit `text` into the box (textLayout.js) and draw it.
+ * Returns null, or a warning string when the text overflowed or was truncated.
+ */
+function drawTextAutoshrink(ctx, text, box, dyPx, slot) {
   const { l, t, w, h } = box;
   const W = ctx.canvas.width;
-  let fontPx = Math.round(style.start * W);
-  const minPx = Math.round(style.min * W);
-  const lh = style.lineHeight;
-
-  function wrapLines(txt, fontSize) {
-    ctx.font = `${weight} ${fontSize}px "${fontFamily}"`;
-    const words = txt.split(/\s+/);
-    const lines = [];
-    let current = "";
-    for (let word of words) {
-      const test = current ? current + " " + word : word;
-      if (ctx.measureText(test).width <= w) {
-        current = test;
-      } else {
-        if (current) lines.push(current);
-        current = word;
-      }
-    }
-    if (current) lines.push(current);
-    return lines.slice(0, 3);
-  }
+  const lh = slot.lineHeight || 1.1;
 
-  let lines = [];
-  while (fontPx >= minPx) {
-    lines = wrapLines(text, fontPx);
-    const totalHeight = lines.length * fontPx * lh;
-    if (totalHeight <= h) break;
-    fontPx -= 2;
-  }
+  const measure = (s, px) => {
+    ctx.font = fontString(slot, px);
+    return ctx.measureText(s).width;
+  };
+  const { fontPx, lines, overflow } = fitText(text, {
+    width: w,
+    height: h,
+    startPx: Math.round(slot.size.start * W),
+    minPx: Math.round(slot.size.min * W),
+    lineHeight: lh,
+    maxLines: slot.maxLines || 3,
+    balance: !!slot.balance,
+    measure,
+  });
 
-  const x = l + w / 2;
+  const align = slot.align || "center";
+  const x = align === "left" ? l : align === "right" ? l + w : l + w / 2;
   const yStart = t + dyPx + (h - lines.length * fontPx * lh) / 2 + fontPx;
-  ctx.fillStyle = style.color;
-  ctx.textAlign = style.align;
+  ctx.fillStyle = slot.color || "#000000";
+  ctx.textAlign = align;
   ctx.textBaseline = "alphabetic";
-  ctx.font = `${weight} ${fontPx}px "${fontFamily}"`;
+  ctx.font = fontString(slot, fontPx);
 
   let y = yStart;
   for (const line of lines) {
     ctx.fillText(line, x, y);
     y += fontPx * lh;
   }
+  return overflow;
 }
 
-(async () => {
-  if (fs.existsSync(FONT_PATH)) {
-    FontLibrary.use("HindSiliguri", [path.resolve(FONT_PATH)]);
+function drawShape(ctx, shape, box) {
+  const W = ctx.canvas.width;
+  const pad = Math.round((shape.pad || 0) * W);
+  const x = box.l - pad;
+  const y = box.t - pad;
+  const w = box.w + pad * 2;
+  const h = box.h + pad * 2;
+  ctx.fillStyle = shape.color || "#000000";
+  ctx.beginPath();
+  if (shape.type === "roundRect") {
+    ctx.roundRect(x, y, w, h, Math.round((shape.radius || 0) * W));
+  } else {
+    ctx.rect(x, y, w, h);
   }
-  const FONT_FAMILY = "HindSiliguri";
+  ctx.fill();
+}
 
-  const data = JSON.parse(fs.readFileSync(JSON_PATH, "utf8"));
-  const articles = Array.isArray(data) ? data : data.articles || [data];
-  const total = LIMIT > 0 ? Math.min(LIMIT, articles.length) : articles.length;
+/**
+ * Draw a layout's shapes and text slots for one article onto ctx.
+ * Returns the overflow warnings, e.g. ["title: truncated to 3 line(s) at 38px"].
+ */
+function drawLayout(ctx, layout, article) {
+  const warnings = [];
+  const W = ctx.canvas.width;
+  const H = ctx.canvas.height;
+  for (const shape of layout.shapes || []) {
+    drawShape(ctx, shape, pxBox(shape.box, W, H));
+  }
+  for (const slot of layout.slots) {
+    const text = String(article[slot.field] || "").trim();
+    if (!text) continue;
+    const box = pxBox(slot.box, W, H);
+    const dy = (slot.shift || 0) * H;
+    if (slot.background) {
+      drawShape(ctx, slot.background, { ...box, t: box.t + dy });
+    }
+    const overflow = drawTextAutoshrink(ctx, text, box, dy, slot);
+    if (overflow) warnings.push(`${slot.name || slot.field}: ${overflow}`);
+  }
+  return warnings;
+}
 
-  ensureDir(OUT_DIR);
+function registerFonts(layouts, fontPath) {
+  const byFamily = new Map();
+  for (const font of layoutFonts(layouts)) {
+    // --font replaces every primary layout font file (old single-font behaviour)
+    const file = (!font.isFallback && fontPath) || font.file;
+    if (!fs.existsSync(file)) {
+      log.warn(`⚠️ Font not found: ${file} (${font.family})`);
+      continue;
+    }
+    if (!byFamily.has(font.family)) byFamily.set(font.family, new Set());
+    byFamily.get(font.family).add(path.resolve(file));
+  }
+  for (const [family, files] of byFamily) {
+    FontLibrary.use(family, [...files]);
+  }
+}
+
+const EXCERPT_CHARS = 320;
+
+// Article fields plus the computed ones layouts can reference
+function cardFields(article) {
+  return { ...article, excerpt: excerpt(article.article_body, EXCERPT_CHARS) };
+}
+
+/**
+ * Base canvas for one card: a pre-rendered inputPath when given and present,
+ * else the layout's template with the article photo composited in, else a
+ * template-free base (background + photo box).
+ */
+async function baseCanvas(layout, article, inputPath, templateOverride) {
+  if (inputPath && fs.existsSync(inputPath)) {
+    const baseImage = await loadImage(inputPath);
+    const canvas = new Canvas(baseImage.width, baseImage.height);
+    canvas.getContext("2d").drawImage(baseImage, 0, 0);
+    return canvas;
+  }
+  const imageSource = (article.article_image || "").trim();
+  const templatePath = templateOverride || layout.template;
+  if (templatePath) return composeBase(templatePath, imageSource, layout);
+  return composeBlank(layout, imageSource);
+}
+
+/**
+ * Render each job's photocards.
+ * jobs: [{ article, outDir, inputPath? }]
+ * options:
+ *   template      layout name or JSON path for every feed card (default: match by domain/category)
+ *   templateImage template PNG for every feed card
+ *   fontPath      overrides the layouts' font files
+ *   presets       e.g. ["feed", "story", "link"] (see layouts.js PRESETS)
+ *   format        "png" | "jpeg" | "webp", quality 0-1 for jpeg/webp
+ *   carousel      also render slide 2+ layouts of each preset
+ * Returns [{ ...job, ok, outputPath, outputs: [{ preset, slide, path, layout, warnings }],
+ * layout, warnings, error? }]. outputPath is the feed card; articles without an
+ * image are skipped; warnings lists text that overflowed its box or was truncated.
+ */
+export async function renderCards(
+  jobs,
+  {
+    template = null,
+    templateImage = null,
+    fontPath = null,
+    presets = ["feed"],
+    format = "png",
+    quality = 0.9,
+    carousel = false,
+  } = {}
+) {
+  if (!FORMAT_EXT[format]) throw new Error(`Unknown format: ${format} (png, jpeg, webp)`);
+  const layouts = loadLayouts();
+  const fixed = template ? getLayout(template, layouts) : null;
+  registerFonts(fixed ? [...layouts, fixed] : layouts, fontPath);
+  const maxSlide = carousel ? Math.max(1, ...layouts.map((l) => l.slide || 1)) : 1;
+
+  const total = jobs.length;
+  const results = [];
   for (let i = 0; i < total; i++) {
-    const a = articles[i];
-    const title = (a.article_title || "").trim();
-    const date = (a.published_date_bn || "").trim();
-    const src = (a.source || "").trim();
-    const cat = (a.category_bn || "").trim();
-
-    const inputPath = path.join(IN_DIR, `${i + 1}.png`);
-    if (!fs.existsSync(inputPath)) {
-      console.warn(`[${i + 1}] Skipped (no input image)`);
+    const { article, inputPath, outDir } = jobs[i];
+    const a = cardFields(article);
+    const id = idOf(article);
+
+    const hasBase = inputPath && fs.existsSync(inputPath);
+    if (!hasBase && !(a.article_image || "").trim()) {
+      log.warn(`[${i + 1}] Skipped (no article_image)`, { id });
+      count("cards_skipped");
+      results.push({ ...jobs[i], ok: false, outputs: [], error: "no article_image" });
       continue;
     }
 
     try {
-      const baseImage = await loadImage(inputPath);
-      const W = baseImage.width;
-      const H = baseImage.height;
-      const canvas = new Canvas(W, H);
-      const ctx = canvas.getContext("2d");
-
-      ctx.drawImage(baseImage, 0, 0);
-
-      if (cat) {
-        const box = pxBox({ l: 0.5 - 0.25, t: 0.48, r: 0.5 + 0.25, b: 0.52 }, W, H);
-        const dy = SHIFT.PILL * H;
-        drawTextAutoshrink(ctx, cat, box, dy, FONTS.PILL, FONT_FAMILY);
-      }
-      if (title) {
-        const box = pxBox(BOX.TITLE, W, H);
-        const dy = SHIFT.TITLE * H;
-        drawTextAutoshrink(ctx, title, box, dy, FONTS.TITLE, FONT_FAMILY);
-      }
-      if (date) {
-        const box = pxBox(BOX.DATE, W, H);
-        const dy = SHIFT.DATE * H;
-        drawTextAutoshrink(ctx, date, box, dy, FONTS.DATE, FONT_FAMILY);
-      }
-      if (src) {
-        const box = pxBox(BOX.SRC, W, H);
-        const dy = SHIFT.SRC * H;
-        drawTextAutoshrink(ctx, src, box, dy, FONTS.SRC, FONT_FAMILY);
-      }
+      const outputs = [];
+      for (const preset of presets) {
+        for (let slide = 1; slide <= maxSlide; slide++) {
+          const isFeedCard = preset === "feed" && slide === 1;
+          const layout = (isFeedCard && fixed) || layoutForArticle(a, layouts, { preset, slide });
+          if (!layout) {
+            if (slide === 1) log.warn(`[${i + 1}/${total}] ⚠️ No layout for preset ${preset}`, { id });
+            continue;
+          }
+          const canvas = await baseCanvas(
+            layout,
+            a,
+            isFeedCard ? inputPath : null,
+            isFeedCard ? templateImage : null
+          );
+          const warnings = drawLayout(canvas.getContext("2d"), layout, a);
 
-      const outPath = path.join(OUT_DIR, `${i + 1}.png`);
-      await canvas.saveAs(outPath);
-      console.log(`[${i + 1}/${total}] ✅ Saved -> ${path.basename(outPath)}`);
+          const outputPath = path.join(outDir, cardFileName(id, { preset, slide, format }));
+          ensureDir(outDir);
+          await canvas.saveAs(outputPath, { format, quality });
+          log.info(`[${i + 1}/${total}] ✅ Saved -> ${path.basename(outputPath)} (${layout.name})`);
+          for (const w of warnings) log.warn(`[${i + 1}/${total}] ⚠️ Overflow — ${w}`, { id });
+          count("overflow_warnings", warnings.length);
+          outputs.push({ preset, slide, path: outputPath, layout: layout.name, warnings });
+        }
+      }
+      const feed = outputs.find((o) => o.preset === "feed" && o.slide === 1) || outputs[0];
+      count(outputs.length ? "cards_rendered" : "cards_skipped");
+      results.push({
+        ...jobs[i],
+        ok: outputs.length > 0,
+        outputPath: feed?.path || null,
+        outputs,
+        layout: feed?.layout || null,
+        warnings: outputs.flatMap((o) => o.warnings.map((w) => `${path.basename(o.path)} ${w}`)),
+      });
     } catch (err) {
-      console.error(`[${i + 1}/${total}] ❌ FAIL: ${err.message}`);
+      log.error(`[${i + 1}/${total}] ❌ FAIL: ${err.message}`, { id });
+      count("cards_failed");
+      results.push({ ...jobs[i], ok: false, outputs: [], error: err.message });
     }
   }
-})();
\ No newline at end of file
+  return results;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const JSON_PATH = argVal("--json", "../articles/article_filtered-2.json");
+  const IN_DIR = argVal("--in", null);
+  const TEMPLATE_IMAGE = argVal("--template-image", null);
+  const OUT_DIR = argVal("--out", "../photocards/photocard-skia");
+  const FONT_PATH = argVal("--font", null);
+  const TEMPLATE = argVal("--template", null);
+  const LIMIT = Number(argVal("--limit", "0"));
+  const PRESET_LIST = argVal("--presets", "feed").split(",");
+  const FORMAT = argVal("--format", "png");
+  const QUALITY = Number(argVal("--quality", "0.9"));
+  const CAROUSEL = args.includes("--carousel");
+
+  const data = JSON.parse(fs.readFileSync(JSON_PATH, "utf8"));
+  const articles = Array.isArray(data) ? data : data.articles || [data];
+  const total = LIMIT > 0 ? Math.min(LIMIT, articles.length) : articles.length;
+
+  startRun("render");
+  const jobs = articles.slice(0, total).map((article) => ({
+    article,
+    inputPath: IN_DIR ? path.join(IN_DIR, `${idOf(article)}.png`) : null,
+    outDir: OUT_DIR,
+  }));
+  renderCards(jobs, {
+    template: TEMPLATE,
+    templateImage: TEMPLATE_IMAGE,
+    fontPath: FONT_PATH,
+    presets: PRESET_LIST,
+    format: FORMAT,
+    quality: QUALITY,
+    carousel: CAROUSEL,
+  }).then((results) => {
+    const report = results.map((r) => ({
+      id: idOf(r.article),
+      output: r.outputPath,
+      outputs: r.outputs.map((o) => o.path),
+      layout: r.layout || null,
+      ok: r.ok,
+      warnings: r.warnings || [],
+      error: r.error || null,
+    }));
+    const reportPath = path.join(OUT_DIR, "render-report.json");
+    ensureDir(OUT_DIR);
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    const overflowed = report.filter((r) => r.warnings.length).length;
+    log.info(`📋 Report: ${reportPath} (${overflowed} card(s) with overflow warnings)`);
+    log.info(`📋 Run report: ${finishRun()}`);
+  }, (err) => {
+    log.error("❌ Rendering failed", { err });
+    finishRun({ error: err });
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+import fs from "fs";
+import dotenv from "dotenv";
+import { pathToFileURL } from "url";
+import { idOf } from "./articleId.js";
+import { queryModel, backendName, modelName } from "./articleProcessor.js";
+import { extractJson } from "./scoreSchema.js";
+import { cacheKey, getCached, setCached } from "./scoreCache.js";
+import { hold, reviewItem, scoredArticles, SCORED_PATH } from "./editorial.js";
+import { createLogger } from "./logger.js";
+import { count } from "./runReport.js";
+
+dotenv.config();
+
+const log = createLogger("policy");
+
+/**
+ * Policy gate between scoring and posting: every article is checked before it is
+ * queued (domka publish, facebookPoster.js). An article that trips a rule is *held*:
+ * it goes to the editorial review queue (editorial.js, status "held") with the
+ * reasons, and only a desk approval lets it through.
+ *
+ * Rules come from POLICY_PATH (default ./policy.json, see policy.example.json):
+ * {
+ *   "blocklist": { "keywords": ["লাশ", "beheaded"], "categories": ["crime", "অপরাধ"] },
+ *   "classify": true,                     ask the scoring model for sensitivity labels
+ *   "holdLabels": ["graphic_violence", …], labels that hold an article (default: all)
+ *   "requireHumanReview": false           hold everything until a human approves it
+ * }
+ * Keywords match title, body and captions case-insensitively; categories match
+ * `category` / `category_bn`. Classification goes through the scoring backend
+ * (MODEL_BACKEND, articleProcessor.js) and is cached like scores; a failed or
+ * unreadable classification holds the article (fail closed).
+ *
+ * The model only reads text: a "minors" label means the photo must be checked
+ * for children's faces by a person.
+ *
+ * Run (checks scored articles, holds what fails):
+ * node policyGate.js [--scored ../articles/article_filtered-2.json] [--dry-run]
+ */
+
+const POLICY_PATH = process.env.POLICY_PATH || "./policy.json";
+
+// Bump whenever buildPolicyPrompt() changes meaning — cached labels are keyed on it
+const POLICY_PROMPT_VERSION = "policy-v1";
+
+export const LABELS = {
+  graphic_violence: "graphic violence or gore",
+  crime_detail: "explicit crime details (murder, rape, suicide method)",
+  unverified_claim: "unverified claim or rumour",
+  minors: "story about children — check the photo for minors' faces",
+  sexual_content: "sexual content",
+  hate_speech: "hate speech or communal tension",
+  self_harm: "self-harm",
+};
+
+const DEFAULT_POLICY = {
+  blocklist: { keywords: [], categories: [] },
+  classify: true,
+  holdLabels: Object.keys(LABELS),
+  requireHumanReview: false,
+};
+
+export function loadPolicy(policyPath = POLICY_PATH) {
+  if (!fs.existsSync(policyPath)) return DEFAULT_POLICY;
+  const raw = JSON.parse(fs.readFileSync(policyPath, "utf8"));
+  return {
+    ...DEFAULT_POLICY,
+    ...raw,
+    blocklist: { ...DEFAULT_POLICY.blocklist, ...(raw.blocklist || {}) },
+  };
+}
+
+function norm(s) {
+  return String(s || "").normalize("NFC").toLowerCase();
+}
+
+/**
+ * Blocklist hits: [reason].
+ */
+export function blocklistReasons(article, policy = loadPolicy()) {
+  const reasons = [];
+  const fields = {
+    title: article.article_title,
+    body: article.article_body,
+    caption: [article.caption, ...(article.captions || [])].join(" "),
+  };
+  for (const keyword of policy.blocklist.keywords || []) {
+    const k = norm(keyword).trim();
+    const where = Object.keys(fields).filter((f) => k && norm(fields[f]).includes(k));
+    if (where.length) reasons.push(`blocked keyword "${keyword}" in ${where.join(", ")}`);
+  }
+  const categories = new Set((policy.blocklist.categories || []).map((c) => norm(c).trim()));
+  for (const category of [article.category, article.category_bn]) {
+    if (category && categories.has(norm(category).trim())) reasons.push(`blocked category "${category}"`);
+  }
+  return reasons;
+}
+
+export function buildPolicyPrompt(article) {
+  return `
+তুমি একটি সংবাদ প্রতিষ্ঠানের কনটেন্ট নীতিমালা পর্যালোচক।
+নিচের সংবাদটি একটি পাবলিক Facebook পেজে পোস্ট করার আগে সংবেদনশীলতা যাচাই করো।
+যেগুলো প্রযোজ্য শুধু সেই লেবেলগুলো দাও (না থাকলে খালি তালিকা):
+${Object.entries(LABELS)
+  .map(([label, meaning]) => `- ${label}: ${meaning}`)
+  .join("\n")}
+
+JSON আকারে দাও:
+{"labels": ["label", ...], "reason": "এক লাইনে কারণ"}
+
+শিরোনাম: ${article.article_title}
+বিভাগ: ${article.category_bn || article.category || ""}
+বিবরণ: ${String(article.article_body || "").slice(0, 700)}
+`;
+}
+
+/**
+ * Sensitivity labels from the model: { labels, reason }. Throws on unreadable output.
+ */
+export async function classifyArticle(article) {
+  const key = cacheKey({
+    id: idOf(article),
+    backend: backendName(),
+    model: modelName(),
+    promptVersion: POLICY_PROMPT_VERSION,
+  });
+  const hit = getCached(key);
+  if (hit) return hit;
+  const obj = extractJson(await queryModel(buildPolicyPrompt(article)));
+  if (!Array.isArray(obj.labels)) throw new Error('"labels" must be a list');
+  const value = {
+    labels: obj.labels.map((l) => String(l).trim().toLowerCase()).filter((l) => l in LABELS),
+    reason: typeof obj.reason === "string" ? obj.reason.trim() : "",
+  };
+  setCached(key, value);
+  return value;
+}
+
+/**
+ * Check one article: { decision: "allow" | "hold", reasons, labels }.
+ */
+export async function checkArticle(article, policy = loadPolicy()) {
+  const reasons = blocklistReasons(article, policy);
+  let labels = [];
+  if (policy.classify) {
+    try {
+      const result = await classifyArticle(article);
+      labels = result.labels;
+      for (const label of labels.filter((l) => policy.holdLabels.includes(l))) {
+        reasons.push(`${LABELS[label]}${result.reason ? ` (${result.reason})` : ""}`);
+      }
+    } catch (err) {
+      reasons.push(`sensitivity check failed: ${err.message}`);
+    }
+  }
+  if (policy.requireHumanReview) reasons.push("human review required for every post");
+  return { decision: reasons.length ? "hold" : "allow", reasons, labels };
+}
+
+/**
+ * Gate articles for posting, in order, until `limit` are allowed.
+ * Desk-approved articles pass without a check; rejected and held ones never pass,
+ * nor do ones the desk already queued (POST /review/publish); they are returned
+ * as `skipped` with their review status.
+ * Failing articles are held in the review queue unless `record` is false (dry runs);
+ * `scoredPath` is the scored file they come from.
+ * Returns { allowed: [article], held: [{ article, reasons }], skipped: [{ article, status }] }.
+ */
+export async function gateArticles(
+  articles,
+  { policy = loadPolicy(), limit = Infinity, record = true, scoredPath = SCORED_PATH } = {}
+) {
+  const allowed = [];
+  const held = [];
+  const skipped = [];
+  for (const article of articles) {
+    if (allowed.length >= limit) break;
+    const id = idOf(article);
+    const status = reviewItem(id)?.status;
+    if (status === "approved") {
+      allowed.push(article);
+      continue;
+    }
+    if (status === "rejected" || status === "held" || status === "queued") {
+      skipped.push({ article, status });
+      continue;
+    }
+    const result = await checkArticle(article, policy);
+    if (result.decision === "allow") {
+      allowed.push(article);
+      continue;
+    }
+    log.info(`🛑 Held for review: ${article.article_title?.slice(0, 60)} — ${result.reasons.join("; ")}`, { id });
+    count("articles_held");
+    held.push({ article, reasons: result.reasons });
+    if (record) hold(id, result.reasons, result.labels, scoredPath);
+  }
+  return { allowed, held, skipped };
+}
+
+// ---- main -----------------------------------------------------------
+
+async function main() {
+  const args = process.argv.slice(2);
+  const i = args.indexOf("--scored");
+  const scoredPath = i >= 0 ? args[i + 1] : SCORED_PATH;
+  const { allowed, held, skipped } = await gateArticles(scoredArticles(scoredPath), {
+    record: !args.includes("--dry-run"),
+    scoredPath,
+  });
+  log.info(
+    `✅ ${allowed.length} article(s) may be posted, 🛑 ${held.length} held for review, ` +
+      `${skipped.length} already held, rejected or queued`
+  );
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((err) => {
+    log.error("❌ Error", { err });
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,18 @@
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight.
+ * Results keep the input order; a rejected call rejects the whole pool,
+ * so callers that want per-item failures should catch inside `fn`.
+ */
+export async function mapPool(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  const n = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return results;
+}
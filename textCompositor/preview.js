@@ -0,0 +1,120 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Local HTML preview of queued posts, laid out like a Facebook Page post:
+ * Page header with the schedule, caption, photo (or carousel grid) and the
+ * link comment underneath. Written by --dry-run so a batch can be checked
+ * before anything is posted.
+ *
+ * items: [{ target: { name, pageId }, title, payload }], payload as queued by
+ * facebookPoster.js (localImagePaths, caption, comment, scheduledTime).
+ * Telegram captions are already HTML (publishers.js) and are shown as sent.
+ */
+
+export const PREVIEW_PATH = process.env.PREVIEW_PATH || "../output/preview.html";
+
+function esc(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Plain text → HTML with line breaks and clickable links, as Facebook shows it
+function richText(text) {
+  return esc(text)
+    .replace(/https?:\/\/[^\s<]+/g, (url) => `<a href="${url}">${url}</a>`)
+    .replace(/\n/g, "<br>");
+}
+
+function captionHtml(payload) {
+  if (payload.platform === "telegram") return String(payload.caption ?? "").replace(/\n/g, "<br>");
+  return richText(payload.caption);
+}
+
+function when(scheduledTime) {
+  if (!scheduledTime) return "Publishes immediately";
+  return `Scheduled for ${new Date(scheduledTime * 1000).toISOString().replace("T", " ").slice(0, 16)} UTC`;
+}
+
+function imageSrc(imagePath, outDir) {
+  const rel = path.relative(outDir, path.resolve(imagePath)).split(path.sep).join("/");
+  return encodeURI(rel);
+}
+
+function postHtml({ target, title, payload }, outDir) {
+  const images = payload.localImagePaths || [payload.localImagePath];
+  const missing = images.filter((p) => !fs.existsSync(p));
+  const grid = images
+    .map((p) => `<img src="${imageSrc(p, outDir)}" alt="${esc(path.basename(p))}">`)
+    .join("");
+  const variant = payload.caption_variant != null ? ` · caption v${payload.caption_variant + 1}` : "";
+  return `
+<article class="post">
+  <header>
+    <div class="avatar">${esc((target.name || "?").slice(0, 1).toUpperCase())}</div>
+    <div>
+      <div class="page">${esc(target.name)} <span class="id">(${esc(target.pageId)})</span></div>
+      <div class="meta">${esc(payload.platform || "facebook")}${variant} · ${esc(when(payload.scheduledTime))} · 🌐</div>
+    </div>
+  </header>
+  <div class="caption">${captionHtml(payload)}</div>
+  <div class="media n${Math.min(images.length, 4)}">${grid}</div>
+  ${missing.length ? `<p class="warn">⚠️ Missing image: ${missing.map(esc).join(", ")}</p>` : ""}
+  <div class="actions"><span>👍 Like</span><span>💬 Comment</span><span>↗ Share</span></div>
+  ${payload.comment ? `<div class="comment">
+    <div class="avatar small">${esc((target.name || "?").slice(0, 1).toUpperCase())}</div>
+    <div class="bubble"><b>${esc(target.name)}</b><br>${richText(payload.comment)}</div>
+  </div>` : ""}
+  <footer>${esc(title)} · article ${esc(payload.articleId)}</footer>
+</article>`;
+}
+
+const STYLE = `
+body { background: #f0f2f5; font-family: "Hind Siliguri", "Noto Sans Bengali", system-ui, sans-serif; margin: 0; padding: 24px; }
+h1 { font-size: 18px; color: #1c1e21; max-width: 500px; margin: 0 auto 16px; }
+.post { background: #fff; border-radius: 8px; box-shadow: 0 1px 2px rgba(0,0,0,.2); max-width: 500px; margin: 0 auto 24px; }
+.post header { display: flex; gap: 8px; padding: 12px 16px 0; }
+.avatar { width: 40px; height: 40px; border-radius: 50%; background: #C4161C; color: #fff; display: flex; align-items: center; justify-content: center; font-weight: 700; }
+.avatar.small { width: 32px; height: 32px; flex: none; }
+.page { font-weight: 600; color: #050505; }
+.id, .meta { color: #65676b; font-size: 13px; font-weight: 400; }
+.caption { padding: 12px 16px; white-space: normal; color: #050505; }
+.media { display: grid; gap: 2px; }
+.media.n2, .media.n3, .media.n4 { grid-template-columns: 1fr 1fr; }
+.media img { width: 100%; display: block; }
+.actions { display: flex; justify-content: space-around; border-top: 1px solid #ced0d4; margin: 0 16px; padding: 6px 0; color: #65676b; font-weight: 600; }
+.comment { display: flex; gap: 8px; padding: 8px 16px; }
+.bubble { background: #f0f2f5; border-radius: 18px; padding: 8px 12px; font-size: 14px; overflow-wrap: anywhere; }
+.warn { color: #C4161C; padding: 0 16px; }
+footer { color: #65676b; font-size: 12px; padding: 0 16px 12px; }
+a { color: #385898; }
+`;
+
+export function renderPreviewHtml(items, outDir) {
+  return `<!doctype html>
+<html lang="bn">
+<head>
+<meta charset="utf-8">
+<title>Post preview (${items.length})</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>Dry run — ${items.length} post(s), nothing was published</h1>
+${items.map((item) => postHtml(item, outDir)).join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the preview page; image paths are made relative to it.
+ */
+export function writePreview(items, outPath = PREVIEW_PATH) {
+  const outDir = path.dirname(path.resolve(outPath));
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(outPath, renderPreviewHtml(items, outDir));
+  return outPath;
+}
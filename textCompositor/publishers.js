@@ -0,0 +1,208 @@
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import dotenv from "dotenv";
+import FormData from "form-data";
+import { graph } from "./graphClient.js";
+import { resolvePage } from "./targets.js";
+import { fitCaption, limitHashtags } from "./captionComposer.js";
+
+dotenv.config();
+
+/**
+ * Publisher adapters: one per platform, all with the same shape so the job
+ * queue can post an article anywhere (facebookPoster.js → publisherFor):
+ *
+ *   {
+ *     platform,
+ *     rules: { captionMax, hashtagMax, linksInCaption, firstComment, nativeScheduling },
+ *     format({ article, caption, comment, text, hashtags, link }) → { caption, comment | null }
+ *     publish(target, { images, caption, scheduledTime }) → { postId, scheduledTime }
+ *     isLive(target, postId) → boolean          (firstComment adapters)
+ *     comment(target, postId, message) → commentId
+ *     findPost(target, { caption }) → { postId, scheduledTime } | null
+ *     findComment(target, postId, message) → commentId | null
+ *   }
+ *
+ * findPost / findComment look for what an earlier attempt may already have
+ * published (a POST that timed out can still have gone through, see
+ * graphClient.js); the job handlers call them before posting again. The Bot API
+ * can't list a channel's messages, so Telegram has neither and is retried as is.
+ *
+ * format() gets the post composed for the target (captionComposer.js → composePost):
+ * caption with call to action and hashtags, comment with the UTM-tagged link,
+ * excerpt and other outlets, plus the bare parts; each adapter fits them to
+ * its own rules. Adapters without native scheduling are queued at the planned
+ * time instead. The Facebook adapter lives next to its helpers in facebookPoster.js.
+ *
+ * Targets pick a platform with "platform" (default "facebook"), see targets.js:
+ *   instagram  igUserId; token via tokenEnv or the linked Page's (pageId) stored token.
+ *              Graph fetches images by URL: cards must be reachable under
+ *              MEDIA_BASE_URL (or target.mediaBaseUrl) and be JPEG (--format jpeg).
+ *   telegram   chatId ("@channel" or numeric id); bot token from botTokenEnv
+ *              (default TELEGRAM_BOT_TOKEN). TELEGRAM_API_URL points at a stub server.
+ */
+
+function notRetryable(message) {
+  const err = new Error(message);
+  err.retryable = false;
+  return err;
+}
+
+// ---- Instagram (Graph API: container → publish) ----------------------
+
+const IG_CONTAINER_POLLS = Number(process.env.IG_CONTAINER_POLLS || 10);
+const IG_CONTAINER_POLL_MS = Number(process.env.IG_CONTAINER_POLL_MS || 3000);
+
+function igMediaUrl(target, localPath) {
+  const base = target.mediaBaseUrl || process.env.MEDIA_BASE_URL;
+  if (!base) {
+    throw notRetryable("⚠️ Instagram needs MEDIA_BASE_URL (public URL of the photocards folder)");
+  }
+  if (!/\.jpe?g$/i.test(localPath)) {
+    throw notRetryable(`⚠️ Instagram only accepts JPEG: ${path.basename(localPath)} (render with --format jpeg)`);
+  }
+  return `${base.replace(/\/+$/, "")}/${encodeURIComponent(path.basename(localPath))}`;
+}
+
+// Containers are processed asynchronously; publish only once FINISHED
+async function waitForContainer(id, token) {
+  for (let i = 0; i < IG_CONTAINER_POLLS; i++) {
+    const { status_code: status } = await graph.get(id, { fields: "status_code" }, { token });
+    if (status === "FINISHED") return;
+    if (status === "ERROR" || status === "EXPIRED") {
+      throw notRetryable(`Instagram container ${id} ${status}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, IG_CONTAINER_POLL_MS));
+  }
+  throw new Error(`Instagram container ${id} not ready yet`);
+}
+
+export const instagramPublisher = {
+  platform: "instagram",
+  rules: { captionMax: 2200, hashtagMax: 30, linksInCaption: false, firstComment: true, nativeScheduling: false },
+
+  format({ caption, comment }) {
+    return {
+      caption: fitCaption(limitHashtags(caption, this.rules.hashtagMax), this.rules.captionMax),
+      comment: comment ? fitCaption(comment, this.rules.captionMax) : null,
+    };
+  },
+
+  async publish(target, { images, caption }) {
+    const { token } = resolvePage(target);
+    const urls = images.map((p) => igMediaUrl(target, p));
+    let creationId;
+    if (urls.length === 1) {
+      ({ id: creationId } = await graph.post(`${target.igUserId}/media`, { image_url: urls[0], caption }, { token }));
+    } else {
+      // Carousel: one child container per slide, then the parent (10 slides max)
+      const children = [];
+      for (const url of urls.slice(0, 10)) {
+        const child = await graph.post(`${target.igUserId}/media`, { image_url: url, is_carousel_item: true }, { token });
+        children.push(child.id);
+      }
+      ({ id: creationId } = await graph.post(
+        `${target.igUserId}/media`,
+        { media_type: "CAROUSEL", children: children.join(","), caption },
+        { token }
+      ));
+    }
+    await waitForContainer(creationId, token);
+    const { id } = await graph.post(`${target.igUserId}/media_publish`, { creation_id: creationId }, { token });
+    return { postId: id, scheduledTime: null };
+  },
+
+  async isLive() {
+    return true;
+  },
+
+  async comment(target, mediaId, message) {
+    const { token } = resolvePage(target);
+    const { id } = await graph.post(`${mediaId}/comments`, { message }, { token });
+    return id;
+  },
+
+  async findPost(target, { caption }) {
+    const { token } = resolvePage(target);
+    const { data = [] } = await graph.get(`${target.igUserId}/media`, { fields: "id,caption", limit: 25 }, { token });
+    const media = data.find((m) => m.caption === caption);
+    return media ? { postId: media.id, scheduledTime: null } : null;
+  },
+
+  async findComment(target, mediaId, message) {
+    const { token } = resolvePage(target);
+    const { data = [] } = await graph.get(`${mediaId}/comments`, { fields: "id,text", limit: 100 }, { token });
+    return data.find((c) => c.text === message)?.id || null;
+  },
+};
+
+// ---- Telegram (Bot API sendPhoto / sendMediaGroup) --------------------
+
+const TELEGRAM_LINK_TEXT = "বিস্তারিত পড়ুন";
+
+function escHtml(s) {
+  return String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+async function telegramCall(target, method, form) {
+  const token = process.env[target.botTokenEnv || "TELEGRAM_BOT_TOKEN"];
+  if (!token) throw notRetryable(`⚠️ Missing ${target.botTokenEnv || "TELEGRAM_BOT_TOKEN"} in .env`);
+  const base = (process.env.TELEGRAM_API_URL || "https://api.telegram.org").replace(/\/+$/, "");
+  try {
+    const res = await axios.post(`${base}/bot${token}/${method}`, form, {
+      headers: form.getHeaders(),
+      maxBodyLength: Infinity,
+      timeout: 60000,
+    });
+    return res.data.result;
+  } catch (raw) {
+    const data = raw.response?.data;
+    if (!data) throw raw; // network error: retried by the queue
+    const err = new Error(`Telegram ${method}: ${data.description || `HTTP ${raw.response.status}`}`);
+    // 429 carries retry_after (s); other 4xx (bad chat, bot not admin…) won't fix themselves
+    err.retryable = data.error_code === 429 || raw.response.status >= 500;
+    if (data.parameters?.retry_after) err.retryAfterMs = data.parameters.retry_after * 1000;
+    throw err;
+  }
+}
+
+export const telegramPublisher = {
+  platform: "telegram",
+  rules: { captionMax: 1024, hashtagMax: null, linksInCaption: true, firstComment: false, nativeScheduling: false },
+
+  // No comments on channel posts: the link goes in the caption, as an HTML link
+  format({ text, hashtags = [], link }) {
+    const tags = hashtags.length ? `\n${hashtags.join(" ")}` : "";
+    const linkLen = link ? TELEGRAM_LINK_TEXT.length + 2 : 0;
+    const body = fitCaption(text, this.rules.captionMax - linkLen - tags.length);
+    const anchor = link ? `\n\n<a href="${escHtml(link)}">${TELEGRAM_LINK_TEXT}</a>` : "";
+    return { caption: escHtml(body + tags) + anchor, comment: null };
+  },
+
+  async publish(target, { images, caption }) {
+    if (images.length === 1) {
+      const form = new FormData();
+      form.append("chat_id", String(target.chatId));
+      form.append("photo", fs.createReadStream(images[0]));
+      form.append("caption", caption);
+      form.append("parse_mode", "HTML");
+      const message = await telegramCall(target, "sendPhoto", form);
+      return { postId: String(message.message_id), scheduledTime: null };
+    }
+    // Album: caption on the first photo (10 photos max)
+    const form = new FormData();
+    form.append("chat_id", String(target.chatId));
+    const media = images.slice(0, 10).map((p, i) => {
+      form.append(`photo${i}`, fs.createReadStream(p));
+      return {
+        type: "photo",
+        media: `attach://photo${i}`,
+        ...(i === 0 ? { caption, parse_mode: "HTML" } : {}),
+      };
+    });
+    form.append("media", JSON.stringify(media));
+    const messages = await telegramCall(target, "sendMediaGroup", form);
+    return { postId: String(messages[0].message_id), scheduledTime: null };
+  },
+};
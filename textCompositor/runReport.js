@@ -0,0 +1,149 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { redact, setLogContext } from "./logger.js";
+
+dotenv.config();
+
+/**
+ * Per-run JSON reports, so a nightly run that quietly did nothing shows up
+ * (metrics.js serves the latest ones on /metrics).
+ *
+ * A script starts one run; the modules it calls add counters while it runs:
+ *
+ *   startRun("domka-run");
+ *   count("articles_scored");                  → counters.articles_scored += 1
+ *   await timed("render", () => renderCards(…)); → timings_ms.render
+ *   finishRun();                                → RUN_REPORTS_DIR/domka-run-<time>.json
+ *
+ * Without a started run count() and timed() just pass through, so library code
+ * can call them unconditionally. Every report carries the COUNTERS below, 0 when
+ * nothing was counted, so an alert on e.g. posts_queued == 0 fires; a run adds
+ * its own with startRun(name, { counters }) (jobWorker.js: <job type>_jobs_done /
+ * _failed / _retried from jobQueue.js). discardRun() drops a run that did nothing.
+ *
+ * RUN_REPORTS_DIR defaults to ../output/runs; the newest RUN_REPORTS_KEEP
+ * (default 30) reports per run name are kept.
+ *
+ * {
+ *   "id", "name", "status": "ok" | "failed", "error", "started_at", "finished_at",
+ *   "duration_ms", "counters": { ... }, "timings_ms": { ... }
+ * }
+ */
+
+export const RUN_REPORTS_DIR = process.env.RUN_REPORTS_DIR || "../output/runs";
+const KEEP = Number(process.env.RUN_REPORTS_KEEP || 30);
+
+export const COUNTERS = [
+  "articles_loaded",
+  "articles_scored",
+  "articles_cached",
+  "parse_failures",
+  "score_errors",
+  "articles_held",
+  "articles_rejected",
+  "cards_rendered",
+  "cards_skipped",
+  "cards_failed",
+  "overflow_warnings",
+  "posts_queued",
+];
+
+let current = null;
+
+export function startRun(name, { counters = [] } = {}) {
+  current = {
+    id: crypto.randomUUID(),
+    name,
+    status: "running",
+    error: null,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    duration_ms: null,
+    counters: Object.fromEntries([...COUNTERS, ...counters].map((key) => [key, 0])),
+    timings_ms: {},
+  };
+  setLogContext({ run: current.id });
+  return current;
+}
+
+export function currentRun() {
+  return current;
+}
+
+/**
+ * Close the run without writing a report.
+ */
+export function discardRun() {
+  current = null;
+}
+
+export function count(key, n = 1) {
+  if (current) current.counters[key] = (current.counters[key] || 0) + n;
+}
+
+/**
+ * Run `fn`, adding its wall time to timings_ms[key] (also when it throws).
+ */
+export async function timed(key, fn) {
+  const start = Date.now();
+  try {
+    return await fn();
+  } finally {
+    if (current) current.timings_ms[key] = (current.timings_ms[key] || 0) + Date.now() - start;
+  }
+}
+
+// <name>-<started_at, compact>.json
+const REPORT_FILE = /^(.+)-(\d{8}T\d{9}Z)\.json$/;
+
+function reportsFor(name, dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((f) => REPORT_FILE.exec(f)?.[1] === name)
+    .sort();
+}
+
+/**
+ * Close the run and write its report. Returns the report path.
+ */
+export function finishRun({ error = null, dir = RUN_REPORTS_DIR } = {}) {
+  if (!current) return null;
+  const run = current;
+  current = null;
+  run.finished_at = new Date().toISOString();
+  run.duration_ms = Date.parse(run.finished_at) - Date.parse(run.started_at);
+  run.status = error ? "failed" : "ok";
+  run.error = error ? error.message || String(error) : null;
+
+  fs.mkdirSync(dir, { recursive: true });
+  const stamp = run.started_at.replace(/[-:.]/g, "");
+  const file = path.join(dir, `${run.name}-${stamp}.json`);
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(redact(run), null, 2));
+  fs.renameSync(tmp, file);
+
+  for (const old of reportsFor(run.name, dir).slice(0, -KEEP)) {
+    fs.rmSync(path.join(dir, old), { force: true });
+  }
+  return file;
+}
+
+/**
+ * The newest report of every run name: { [name]: report }.
+ */
+export function latestReports(dir = RUN_REPORTS_DIR) {
+  if (!fs.existsSync(dir)) return {};
+  const latest = {};
+  for (const f of fs.readdirSync(dir).sort()) {
+    const m = REPORT_FILE.exec(f);
+    if (!m) continue;
+    try {
+      latest[m[1]] = JSON.parse(fs.readFileSync(path.join(dir, f), "utf8"));
+    } catch {
+      // half-written or hand-edited; the previous one stands
+    }
+  }
+  return latest;
+}
@@ -0,0 +1,39 @@
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * On-disk cache of validated scoring results (SCORE_CACHE_PATH, default ../data/score-cache.json).
+ * Keyed by article ID + backend + model + prompt version, so a new model, the same
+ * model name on another backend (e.g. "local" on two servers) or a prompt change
+ * re-scores everything while unchanged stories are never sent twice.
+ */
+
+const CACHE_PATH = process.env.SCORE_CACHE_PATH || "../data/score-cache.json";
+
+let cache = null;
+
+function load() {
+  if (!cache) {
+    cache = fs.existsSync(CACHE_PATH) ? JSON.parse(fs.readFileSync(CACHE_PATH, "utf8")) : {};
+  }
+  return cache;
+}
+
+export function cacheKey({ id, backend, model, promptVersion }) {
+  return `${id}:${backend}:${model}:${promptVersion}`;
+}
+
+export function getCached(key) {
+  return load()[key]?.value || null;
+}
+
+export function setCached(key, value) {
+  load()[key] = { value, cached_at: new Date().toISOString() };
+  fs.mkdirSync(path.dirname(CACHE_PATH), { recursive: true });
+  const tmp = `${CACHE_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(cache, null, 2));
+  fs.renameSync(tmp, CACHE_PATH);
+}
@@ -0,0 +1,117 @@
+/**
+ * Validation for the model's scoring output:
+ * { "score": 0-100 integer, "captions": ["Bangla one-line sentence", …], "best_post_time_utc": "HH:MM" }
+ *
+ * `captions` holds up to MAX_CAPTIONS variants for A/B rotation (captionComposer.js);
+ * a lone "caption" string is accepted too. The value always carries both:
+ * `caption` is the first variant, so older readers keep working.
+ *
+ * Models often wrap the JSON in prose or ``` fences, write Bangla digits,
+ * or drift out of range. parseScoreOutput() extracts, coerces and clamps
+ * what it can and returns a readable error for everything else, which
+ * articleProcessor.js feeds back to the model on a repair attempt.
+ */
+
+const BN_DIGITS = "০১২৩৪৫৬৭৮৯";
+export const MAX_CAPTIONS = 3;
+
+export function toLatinDigits(s) {
+  return String(s).replace(/[০-৯]/g, (d) => String(BN_DIGITS.indexOf(d)));
+}
+
+/**
+ * Pull the first JSON object out of free text (code fences, leading prose…).
+ * Throws when no parseable object is found.
+ */
+export function extractJson(raw) {
+  const text = String(raw || "").trim();
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(text);
+  const candidates = fenced ? [fenced[1], text] : [text];
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // fall through to a brace scan
+    }
+    const start = candidate.indexOf("{");
+    if (start < 0) continue;
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < candidate.length; i++) {
+      const ch = candidate[i];
+      if (inString) {
+        if (ch === "\\") i++;
+        else if (ch === '"') inString = false;
+      } else if (ch === '"') {
+        inString = true;
+      } else if (ch === "{") {
+        depth++;
+      } else if (ch === "}" && --depth === 0) {
+        try {
+          return JSON.parse(candidate.slice(start, i + 1));
+        } catch {
+          break;
+        }
+      }
+    }
+  }
+  throw new Error("no JSON object found in the response");
+}
+
+/**
+ * Coerce and check a parsed object. Returns { value, errors }.
+ */
+export function validateScore(obj) {
+  const errors = [];
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    return { value: null, errors: ["response must be a JSON object"] };
+  }
+
+  const rawScore = toLatinDigits(obj.score ?? "").trim();
+  let score = Number(rawScore);
+  if (rawScore === "" || Number.isNaN(score)) {
+    errors.push('"score" must be a number from 0 to 100');
+  } else {
+    score = Math.min(100, Math.max(0, Math.round(score)));
+  }
+
+  const rawCaptions = Array.isArray(obj.captions) ? obj.captions : [obj.caption];
+  const captions = [
+    ...new Set(
+      rawCaptions.filter((c) => typeof c === "string").map((c) => c.replace(/\s*\n\s*/g, " ").trim())
+    ),
+  ]
+    .filter(Boolean)
+    .slice(0, MAX_CAPTIONS);
+  if (!captions.length) {
+    errors.push('"captions" must be a list of non-empty Bangla sentences');
+  }
+
+  let time = null;
+  const m = /^(\d{1,2}):(\d{2})(?::\d{2})?$/.exec(
+    toLatinDigits(obj.best_post_time_utc ?? "").trim()
+  );
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) {
+    errors.push('"best_post_time_utc" must be a UTC time "HH:MM" (00:00-23:59)');
+  } else {
+    time = `${m[1].padStart(2, "0")}:${m[2]}`;
+  }
+
+  if (errors.length) return { value: null, errors };
+  return { value: { score, caption: captions[0], captions, best_post_time_utc: time }, errors };
+}
+
+/**
+ * raw model text → { ok: true, value } | { ok: false, error }
+ */
+export function parseScoreOutput(raw) {
+  let obj;
+  try {
+    obj = extractJson(raw);
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+  const { value, errors } = validateScore(obj);
+  return errors.length ? { ok: false, error: errors.join("; ") } : { ok: true, value };
+}
@@ -0,0 +1,98 @@
+import fs from "fs";
+import dotenv from "dotenv";
+import { loadFromDB } from "./tokenStore.js";
+import { matchesFilters } from "./articleFilters.js";
+
+dotenv.config();
+
+/**
+ * Publishing targets: each named target maps one Page to filters on the
+ * scraped article's `domain` / `category` (matched against category and category_bn).
+ *
+ * targets.json (TARGETS_PATH), see targets.example.json:
+ * {
+ *   "targets": [
+ *     { "name": "sports", "pageId": "123", "filters": { "category": ["খেলা"] } },
+ *     { "name": "kalbela", "pageId": "456", "tokenEnv": "KALBELA_PAGE_TOKEN",
+ *       "filters": { "domain": ["kalbela"] } }
+ *   ]
+ * }
+ *
+ * A target without filters receives every article. Without a targets file,
+ * the legacy PAGE_ID / ACCESS_TOKEN pair from .env becomes a single catch-all target.
+ *
+ * "platform" picks the publisher adapter (publishers.js), default "facebook":
+ *     { "name": "ig", "platform": "instagram", "igUserId": "1784…", "pageId": "123" }
+ *     { "name": "tg", "platform": "telegram", "chatId": "@domka_news", "botTokenEnv": "TELEGRAM_BOT_TOKEN" }
+ *
+ * "compose" sets the Page's caption rules (call to action, hashtags, excerpt
+ * length, UTM parameters), see captionComposer.js.
+ */
+
+const TARGETS_PATH = process.env.TARGETS_PATH || "./targets.json";
+
+// Per platform; instagram also needs a token: tokenEnv, or pageId of the linked Page
+const REQUIRED_FIELDS = {
+  facebook: ["pageId"],
+  instagram: ["igUserId"],
+  telegram: ["chatId"],
+};
+
+export function loadTargets() {
+  if (fs.existsSync(TARGETS_PATH)) {
+    const data = JSON.parse(fs.readFileSync(TARGETS_PATH, "utf8"));
+    const targets = Array.isArray(data) ? data : data.targets || [];
+    for (const t of targets) {
+      const needs = REQUIRED_FIELDS[t.platform || "facebook"] || [];
+      const missing = ["name", ...needs].filter((k) => !t[k]);
+      if (missing.length) {
+        throw new Error(`⚠️ Invalid target ${t.name || "?"} in ${TARGETS_PATH}: needs ${missing.join(", ")}`);
+      }
+    }
+    return targets;
+  }
+  if (process.env.PAGE_ID) {
+    return [{ name: "default", pageId: process.env.PAGE_ID, tokenEnv: "ACCESS_TOKEN" }];
+  }
+  return [];
+}
+
+export function matchesTarget(target, article) {
+  return matchesFilters(target.filters, article);
+}
+
+export function targetsForArticle(article, targets = loadTargets()) {
+  return targets.filter((t) => matchesTarget(t, article));
+}
+
+/**
+ * The test Page (TEST_PAGE_ID; token from TEST_PAGE_TOKEN, else the OAuth store).
+ * --page-test sends posts here instead of to the configured targets.
+ */
+export const TEST_TARGET = "page-test";
+
+export function testTarget() {
+  if (!process.env.TEST_PAGE_ID) {
+    throw new Error("⚠️ --page-test needs TEST_PAGE_ID (and TEST_PAGE_TOKEN or a connected Page) in .env");
+  }
+  return { name: TEST_TARGET, pageId: process.env.TEST_PAGE_ID, tokenEnv: "TEST_PAGE_TOKEN" };
+}
+
+export function findTarget(name, targets = loadTargets()) {
+  if (name === TEST_TARGET) return testTarget();
+  const target = targets.find((t) => t.name === name);
+  if (!target) throw new Error(`⚠️ Unknown target: ${name}`);
+  return target;
+}
+
+/**
+ * Resolve { pageId, token } for a target: an explicit env var wins,
+ * otherwise the Page token saved by the OAuth flow.
+ */
+export function resolvePage(target) {
+  if (target.tokenEnv && process.env[target.tokenEnv]) {
+    return { pageId: target.pageId, token: process.env[target.tokenEnv] };
+  }
+  const { pageId, pageToken } = loadFromDB(target.pageId);
+  return { pageId, token: pageToken };
+}
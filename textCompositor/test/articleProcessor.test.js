@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "domka-score-"));
+const fixturePath = path.join(dir, "model-responses.json");
+Object.assign(process.env, {
+  MODEL_BACKEND: "fixture",
+  FIXTURE_PATH: fixturePath,
+  SCORE_CACHE_PATH: path.join(dir, "score-cache.json"),
+  SCORE_REPAIR_ATTEMPTS: "0",
+});
+delete process.env.FIXTURE_RECORD;
+const { scoreArticles } = await import("../articleProcessor.js");
+const { createBackend } = await import("../modelBackends.js");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const body = (s) => `${s} `.repeat(8);
+
+test("scoreArticles scores through the fixture backend and caches the results", async () => {
+  const folder = path.join(dir, "articles");
+  fs.mkdirSync(folder);
+  fs.writeFileSync(
+    path.join(folder, "feed.json"),
+    JSON.stringify([
+      { url: "https://example.com/a", article_title: "নদীভাঙনে ঘর হারাল শতাধিক পরিবার", article_body: body("নদীভাঙন") },
+      { url: "https://example.com/b", article_title: "বইমেলায় রেকর্ড বিক্রি", article_body: body("বইমেলা") },
+    ])
+  );
+  fs.writeFileSync(
+    fixturePath,
+    JSON.stringify({
+      "*": '```json\n{"score": "৮২", "captions": ["নদী কেড়ে নিল ঘর"], "best_post_time_utc": "14:00"}\n```',
+    })
+  );
+  const opts = {
+    folder,
+    outPath: path.join(dir, "out/scored.json"),
+    rejectsPath: path.join(dir, "out/rejects.json"),
+  };
+
+  const results = await scoreArticles(opts);
+  assert.equal(results.length, 2);
+  for (const r of results) {
+    assert.equal(r.score, 82);
+    assert.deepEqual(r.captions, ["নদী কেড়ে নিল ঘর"]);
+    assert.equal(r.model, "fixture");
+  }
+  assert.deepEqual(JSON.parse(fs.readFileSync(opts.outPath, "utf8")), results);
+  // Cached per backend as well as model: "fixture" answers never stand in for a real backend's
+  const keys = Object.keys(JSON.parse(fs.readFileSync(process.env.SCORE_CACHE_PATH, "utf8")));
+  assert.deepEqual(keys.map((k) => k.split(":").slice(1).join(":")), ["fixture:fixture:v2", "fixture:fixture:v2"]);
+
+  // A second run answers from the cache: a missing fixture would otherwise fail it
+  fs.writeFileSync(fixturePath, "{}");
+  assert.deepEqual(
+    (await scoreArticles(opts)).map((r) => r.score),
+    [82, 82]
+  );
+});
+
+test("recordings made in parallel are all kept", async () => {
+  const recordPath = path.join(dir, "recorded.json");
+  const record = {
+    model: "m1",
+    generate: async (prompt) => {
+      await new Promise((resolve) => setTimeout(resolve, 20 - prompt.length));
+      return `answer to ${prompt}`;
+    },
+  };
+  const backend = createBackend("fixture", { fixturePath: recordPath, record });
+  const prompts = ["a", "bb", "ccc", "dddd"];
+  await Promise.all(prompts.map((p) => backend.generate(p)));
+
+  const replay = createBackend("fixture", { fixturePath: recordPath, record: null });
+  for (const p of prompts) assert.equal(await replay.generate(p), `answer to ${p}`);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  fitCaption,
+  limitHashtags,
+  hashtagsFor,
+  utmLink,
+  captionVariants,
+  composePost,
+} from "../captionComposer.js";
+import { validateScore } from "../scoreSchema.js";
+
+const article = {
+  url: "https://example.com/news/1?utm_source=rss",
+  caption: "প্রথম ক্যাপশন",
+  captions: ["প্রথম ক্যাপশন", "দ্বিতীয় ক্যাপশন?", "প্রথম ক্যাপশন"],
+  category_bn: "শিক্ষা ও স্বাস্থ্য",
+  article_body: "প্রথম বাক্য। দ্বিতীয় বাক্যটি একটু লম্বা! তৃতীয় বাক্য?",
+  also_reported_by: [{ source: "কালবেলা", url: "https://kalbela.com/x" }],
+};
+
+test("fitCaption cuts between graphemes and limitHashtags keeps the first ones", () => {
+  const cut = fitCaption("ক্ষক্ষক্ষ", 6);
+  assert.equal(cut, "ক্ষ…");
+  assert.ok(cut.length <= 6);
+  assert.equal(fitCaption("ছোট", 10), "ছোট");
+  assert.equal(limitHashtags("#a #b #c", 2), "#a #b c");
+});
+
+test("the comment excerpt keeps whole sentences up to excerptMax", () => {
+  const { comment } = composePost(article, { target: { name: "t", compose: { excerptMax: 30, utm: false } } });
+  assert.equal(comment.split("\n")[1], "প্রথম বাক্য। দ্বিতীয় বাক্যটি একটু লম্বা!");
+});
+
+test("hashtagsFor splits compound categories", () => {
+  assert.deepEqual(hashtagsFor("শিক্ষা ও স্বাস্থ্য"), ["#শিক্ষা", "#স্বাস্থ্য"]);
+  assert.deepEqual(hashtagsFor("মুক্ত মত"), ["#মুক্ত_মত"]);
+  assert.deepEqual(hashtagsFor("বিনোদন/সিনেমা!"), ["#বিনোদন", "#সিনেমা"]);
+  assert.deepEqual(hashtagsFor(undefined), []);
+});
+
+test("utmLink keeps existing parameters and leaves non-web links alone", () => {
+  assert.equal(
+    utmLink(article.url, { source: "facebook", medium: "social" }),
+    "https://example.com/news/1?utm_source=rss&utm_medium=social"
+  );
+  assert.equal(utmLink("mailto:desk@example.com", { source: "x" }), "mailto:desk@example.com");
+  assert.equal(utmLink("not a url", { source: "x" }), "not a url");
+});
+
+test("scoring output with variants validates to captions plus the first caption", () => {
+  const { value } = validateScore({ score: "৮০", captions: ["এক", " এক ", "দুই\nলাইন", "তিন", "চার"], best_post_time_utc: "9:05" });
+  assert.deepEqual(value.captions, ["এক", "দুই লাইন", "তিন"]);
+  assert.equal(value.caption, "এক");
+  assert.deepEqual(validateScore({ score: 1, caption: "একা", best_post_time_utc: "10:00" }).value.captions, ["একা"]);
+  assert.match(validateScore({ score: 1, captions: [""], best_post_time_utc: "10:00" }).errors[0], /captions/);
+});
+
+test("composePost rotates variants and applies the Page's rules", () => {
+  assert.deepEqual(captionVariants(article), ["প্রথম ক্যাপশন", "দ্বিতীয় ক্যাপশন?"]);
+  const target = { name: "main" };
+
+  const first = composePost(article, { target, variant: 2 });
+  assert.equal(first.variant, 0);
+  assert.equal(first.caption, "প্রথম ক্যাপশন\nবিস্তারিত কমেন্টে\n#শিক্ষা #স্বাস্থ্য");
+  assert.equal(
+    first.comment,
+    [
+      "https://example.com/news/1?utm_source=rss&utm_medium=social&utm_campaign=main&utm_content=v1",
+      article.article_body,
+      "আরও পড়ুন:",
+      "কালবেলা: https://kalbela.com/x?utm_source=facebook&utm_medium=social&utm_campaign=main&utm_content=v1",
+    ].join("\n")
+  );
+
+  const custom = composePost(article, {
+    target: {
+      name: "kalbela",
+      compose: { cta: "", hashtags: false, extraHashtags: ["#ডমকা"], excerptMax: 0, utm: false },
+    },
+    variant: 1,
+  });
+  assert.equal(custom.caption, "দ্বিতীয় ক্যাপশন?\n#ডমকা");
+  assert.equal(custom.comment, "https://example.com/news/1?utm_source=rss\nআরও পড়ুন:\nকালবেলা: https://kalbela.com/x");
+
+  const telegram = composePost(article, { target: { name: "tg", platform: "telegram" }, rules: { linksInCaption: true } });
+  assert.equal(telegram.caption, "প্রথম ক্যাপশন\n#শিক্ষা #স্বাস্থ্য");
+  assert.match(telegram.link, /utm_medium=social&utm_campaign=tg&utm_content=v1$/);
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { clusterArticles, normalizeBangla, shingles, similarity, jaccard } from "../clustering.js";
+
+const BODY = "ঢাকার মেট্রোরেলের নতুন লাইনের কাজ শুরু হয়েছে। প্রথম ধাপে উত্তরা থেকে কমলাপুর পর্যন্ত চলবে ট্রেন।";
+
+const article = (id, domain, extra = {}) => ({
+  id,
+  domain,
+  url: `https://${domain}.com/${id}`,
+  article_title: "মেট্রোরেলের নতুন লাইনের কাজ শুরু",
+  article_body: BODY,
+  published_date: "2026-10-19T06:00:00Z",
+  ...extra,
+});
+
+const ids = (reps) => reps.map((r) => [r.id, r.cluster_size]);
+
+test("normalizeBangla matches precomposed and decomposed forms and Bangla digits", () => {
+  assert.equal(normalizeBangla("ব\u09dc ১২।"), normalizeBangla("ব\u09a1\u09bc 12"));
+  assert.equal(jaccard(shingles("প\u09dcুন", 3), shingles("প\u09a1\u09bcুন", 3)), 1);
+});
+
+test("pairs merge at or above the threshold and stay apart below it", () => {
+  const a = article("a", "prothomalo");
+  const b = article("b", "kalbela", {
+    article_title: "উত্তরা-কমলাপুর মেট্রোরেল লাইনের নির্মাণ শুরু",
+    article_body: `${BODY.slice(0, 60)} ভাড়া এখনো ঠিক হয়নি।`,
+  });
+  const feats = (x) => ({ title: shingles(x.article_title, 3), lead: shingles(x.article_body, 4) });
+  const score = similarity(feats(a), feats(b));
+  assert.ok(score > 0 && score < 1);
+
+  assert.deepEqual(ids(clusterArticles([a, b], { threshold: score })), [["a", 2]]);
+  assert.deepEqual(ids(clusterArticles([a, b], { threshold: score + 0.01 })), [
+    ["a", 1],
+    ["b", 1],
+  ]);
+});
+
+test("the most complete report represents the cluster and credits the others", () => {
+  const short = article("a", "prothomalo", { article_image: "" });
+  const full = article("b", "kalbela", { article_image: "https://kalbela.com/x.jpg" });
+  const other = article("c", "jugantor", { article_title: "বইমেলায় রেকর্ড বিক্রি", article_body: "বইমেলা শেষ হলো।" });
+  const reps = clusterArticles([short, other, full]);
+  assert.deepEqual(ids(reps), [
+    ["c", 1],
+    ["b", 2],
+  ]);
+  assert.deepEqual(reps[1].also_reported_by.map((o) => o.domain), ["prothomalo"]);
+});
+
+test("only articles from different outlets within the time window are compared", () => {
+  // Same outlet: a follow-up, not a duplicate
+  assert.equal(clusterArticles([article("a", "kalbela"), article("b", "kalbela")]).length, 2);
+  // The outlet comes from the URL host when there is no domain
+  const noDomain = (id, host) => ({ ...article(id, null), url: `https://www.${host}.com/${id}` });
+  assert.equal(clusterArticles([noDomain("a", "kalbela"), noDomain("b", "kalbela")]).length, 2);
+
+  const later = article("b", "kalbela", { published_date: "2026-10-21T06:00:00Z" });
+  assert.equal(clusterArticles([article("a", "prothomalo"), later], { windowHours: 36 }).length, 2);
+  assert.equal(clusterArticles([article("a", "prothomalo"), later], { windowHours: 72 }).length, 1);
+
+  // Undated articles are compared with everything
+  const undated = article("c", "jugantor", { published_date: null });
+  assert.deepEqual(ids(clusterArticles([article("a", "prothomalo"), later, undated], { windowHours: 36 })), [["a", 3]]);
+});
@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "domka-review-"));
+process.env.REVIEW_PATH = path.join(dir, "review.json");
+process.env.MANIFEST_PATH = path.join(dir, "manifest.json");
+const scoredPath = path.join(dir, "scored.json");
+
+const { listReview, editCaption, decide, reorder, reviewedArticle, approvedIds, markQueued, photocardsFor } =
+  await import("../editorial.js");
+const { articleId } = await import("../articleId.js");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const articles = ["a", "b", "c"].map((n, i) => ({
+  url: `https://example.com/${n}`,
+  article_title: `শিরোনাম ${n}`,
+  caption: `ক্যাপশন ${n}`,
+  score: 90 - i * 10,
+}));
+const [a, b, c] = articles.map(articleId);
+fs.writeFileSync(scoredPath, JSON.stringify(articles));
+
+test("lists scored articles by score, all pending", () => {
+  const rows = listReview({ scoredPath });
+  assert.deepEqual(rows.map((r) => r.id), [a, b, c]);
+  assert.ok(rows.every((r) => r.status === "pending" && r.photocard === null));
+});
+
+test("caption edits and decisions are recorded with editor and time", () => {
+  editCaption(b, "  নতুন ক্যাপশন ", "রহিম", scoredPath);
+  decide(b, "approved", "করিম", "ভালো ছবি", scoredPath);
+  const [row] = listReview({ status: "approved", scoredPath });
+  assert.equal(row.caption, "নতুন ক্যাপশন");
+  assert.equal(row.original_caption, "ক্যাপশন b");
+  assert.deepEqual(
+    row.history.map(({ action, editor, to }) => [action, editor, to]),
+    [
+      ["caption", "রহিম", "নতুন ক্যাপশন"],
+      ["approved", "করিম", "approved"],
+    ]
+  );
+  assert.ok(row.history.every((h) => !Number.isNaN(Date.parse(h.at))));
+  assert.equal(reviewedArticle(articles[1]).caption, "নতুন ক্যাপশন");
+});
+
+test("rejects writes without an editor or for unknown articles", () => {
+  assert.throws(() => decide(a, "approved", " ", null, scoredPath), (err) => err.status === 400);
+  assert.throws(() => decide("nope", "approved", "রহিম", null, scoredPath), (err) => err.status === 404);
+  assert.throws(() => decide(a, "maybe", "রহিম", null, scoredPath), (err) => err.status === 400);
+});
+
+test("reorder puts the given ids first and approved ids follow desk order", () => {
+  decide(c, "approved", "রহিম", null, scoredPath);
+  assert.deepEqual(approvedIds(scoredPath), [b, c]);
+  reorder([c], "রহিম", scoredPath);
+  assert.deepEqual(listReview({ scoredPath }).map((r) => r.id), [c, a, b]);
+  assert.deepEqual(approvedIds(scoredPath), [c, b]);
+});
+
+test("queued items are locked", () => {
+  markQueued(c, ["job-1"], "রহিম");
+  assert.deepEqual(approvedIds(scoredPath), [b]);
+  assert.throws(() => decide(c, "rejected", "রহিম", null, scoredPath), (err) => err.status === 409);
+});
+
+test("photocards are found in any format, with carousel slides, manifest first", () => {
+  const cardsDir = path.join(dir, "cards");
+  fs.mkdirSync(cardsDir, { recursive: true });
+  for (const f of [`${a}.jpg`, `${a}-2.jpg`, `${a}-story.jpg`, `${b}.webp`]) fs.writeFileSync(path.join(cardsDir, f), "x");
+  const card = (f) => path.join(cardsDir, f);
+
+  assert.deepEqual(photocardsFor(a, { cardsDir }), [card(`${a}.jpg`), card(`${a}-2.jpg`)]);
+  assert.deepEqual(photocardsFor(b, { cardsDir }), [card(`${b}.webp`)]);
+  assert.deepEqual(photocardsFor(c, { cardsDir }), []);
+
+  const manifest = {
+    articles: [
+      {
+        key: b,
+        photocard: card(`${b}.webp`),
+        media: [
+          { preset: "feed", slide: 2, path: card(`${a}-2.jpg`) },
+          { preset: "feed", slide: 1, path: card(`${b}.webp`) },
+          { preset: "story", slide: 1, path: card(`${a}-story.jpg`) },
+        ],
+      },
+    ],
+  };
+  assert.deepEqual(photocardsFor(b, { cardsDir, manifest }), [card(`${b}.webp`), card(`${a}-2.jpg`)]);
+  const row = listReview({ scoredPath, cardsDir }).find((r) => r.id === a);
+  assert.equal(row.photocard, card(`${a}.jpg`));
+  assert.equal(row.photocards.length, 2);
+});
+
+test("two desks editing at once lose no changes", async () => {
+  const historyOf = (id) => listReview({ scoredPath }).find((r) => r.id === id).history.length;
+  const before = [historyOf(a), historyOf(b)];
+  const script = (id, editor) => `
+    const { editCaption } = await import(${JSON.stringify(new URL("../editorial.js", import.meta.url).href)});
+    for (let n = 0; n < 15; n++) editCaption(${JSON.stringify(id)}, "ক্যাপশন " + n, ${JSON.stringify(editor)}, ${JSON.stringify(scoredPath)});
+  `;
+  const run = (id, editor) =>
+    new Promise((resolve, reject) => {
+      const file = path.join(dir, `edit-${editor}.mjs`);
+      fs.writeFileSync(file, script(id, editor));
+      const child = spawn(process.execPath, [file], { env: process.env, stdio: "inherit" });
+      child.on("error", reject);
+      child.on("exit", (code) => (code === 0 ? resolve() : reject(new Error(`editor exited with ${code}`))));
+    });
+  await Promise.all([run(a, "rahim"), run(b, "karim")]);
+  assert.deepEqual([historyOf(a) - before[0], historyOf(b) - before[1]], [15, 15]);
+});
@@ -0,0 +1,146 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startMockGraph } from "../mockGraph.js";
+
+let mock;
+let client;
+let poster;
+let createGraphClient, usageFrom, DuplicatePostError, PermissionError, RateLimitError, TokenExpiredError;
+const page = { pageId: "123", token: "page-token" };
+
+before(async () => {
+  mock = await startMockGraph();
+  // The shared client (used by facebookPoster.js) reads its settings on import
+  process.env.GRAPH_BASE_URL = mock.url;
+  process.env.GRAPH_RETRY_BASE_MS = "5";
+  ({ createGraphClient, usageFrom, DuplicatePostError, PermissionError, RateLimitError, TokenExpiredError } =
+    await import("../graphClient.js"));
+  poster = await import("../facebookPoster.js");
+  client = createGraphClient({ baseUrl: mock.url, version: "v99.0", retryBaseMs: 5, maxRetries: 2 });
+});
+
+after(() => mock.close());
+
+test("sends the token and the configured version", async () => {
+  const post = await client.post("123/feed", { message: "হ্যালো" }, { token: "t" });
+  assert.match(post.id, /^123_/);
+  const req = mock.requests.at(-1);
+  assert.equal(req.version, "v99.0");
+  assert.equal(req.path, "123/feed");
+  assert.equal(req.query.access_token, "t");
+  assert.equal(req.fields.message, "হ্যালো");
+});
+
+test("retries transient errors, then succeeds", async () => {
+  const before = mock.requests.length;
+  mock.failNext({ code: 2, isTransient: true }, { times: 2 });
+  const me = await client.get("me", {}, { token: "t" });
+  assert.equal(me.id, "mock-user");
+  assert.equal(mock.requests.length - before, 3);
+});
+
+test("gives up after maxRetries", async () => {
+  mock.failNext({ code: 1, status: 500 }, { times: 3 });
+  await assert.rejects(client.get("me", {}, { token: "t" }), (err) => err.retryable && err.code === 1);
+});
+
+test("POSTs are not retried in place when they may have gone through", async () => {
+  for (const error of [{ code: 1, status: 500 }, { code: 2 }]) {
+    const before = mock.requests.length;
+    mock.failNext(error);
+    await assert.rejects(client.post("123/feed", { message: "x" }, { token: "t" }), (err) => {
+      return err.retryable && err.maybeApplied;
+    });
+    assert.equal(mock.requests.length - before, 1);
+  }
+  // Flagged transient: Graph did not apply it, safe to send again
+  const before = mock.requests.length;
+  mock.failNext({ code: 2, isTransient: true });
+  await client.post("123/feed", { message: "x" }, { token: "t" });
+  assert.equal(mock.requests.length - before, 2);
+});
+
+test("network errors are retried for GETs only, and never with retries: 0", async () => {
+  const dead = createGraphClient({ baseUrl: "http://127.0.0.1:9", retryBaseMs: 1, maxRetries: 1 });
+  const get = await dead.get("me").catch((e) => e);
+  assert.equal(get.maybeApplied, false);
+  const post = await dead.post("123/feed", { message: "x" }).catch((e) => e);
+  assert.ok(post.retryable && post.maybeApplied);
+
+  const before = mock.requests.length;
+  mock.failNext({ code: 1, status: 500 });
+  await assert.rejects(client.get("oauth/access_token", { code: "c" }, { retries: 0 }));
+  assert.equal(mock.requests.length - before, 1);
+});
+
+test("a retried publish job finds the post of the attempt that went through", async () => {
+  // The test Page target: page ID and token from the environment
+  Object.assign(process.env, { TEST_PAGE_ID: "555", TEST_PAGE_TOKEN: "page-token" });
+  // The first attempt's /feed call landed, but its answer never arrived
+  const earlier = await client.post("555/feed", { message: "আবার নয়" }, { token: "t" });
+  const before = mock.requests.length;
+  const result = await poster.jobHandlers.publish(
+    { target: "page-test", localImagePaths: ["missing.png"], caption: "আবার নয়" },
+    { attempts: 2 }
+  );
+  assert.equal(result.postId, earlier.id);
+  const calls = mock.requests.slice(before).map((r) => `${r.method} ${r.path}`);
+  assert.deepEqual(calls, ["GET 555/feed", "GET 555/scheduled_posts"]);
+});
+
+test("maps error codes to typed errors that are not retried", async () => {
+  const cases = [
+    [{ code: 190, subcode: 463 }, TokenExpiredError],
+    [{ code: 200 }, PermissionError],
+    [{ code: 506, subcode: 1366051 }, DuplicatePostError],
+  ];
+  for (const [error, Type] of cases) {
+    const before = mock.requests.length;
+    mock.failNext(error);
+    await assert.rejects(client.get("me", {}, { token: "t" }), Type);
+    assert.equal(mock.requests.length - before, 1, `${Type.name} must not be retried`);
+  }
+});
+
+test("rate limits wait for the usage headers' regain time, or defer to the queue", async () => {
+  const buc = JSON.stringify({ 123: [{ call_count: 100, estimated_time_to_regain_access: 5 }] });
+  mock.failNext({ code: 32 }, { headers: { "x-business-use-case-usage": buc } });
+  const err = await client.get("me", {}, { token: "t" }).catch((e) => e);
+  assert.ok(err instanceof RateLimitError);
+  assert.equal(err.retryAfterMs, 5 * 60 * 1000);
+  // Usage stayed at 100%: later calls are refused without hitting Graph
+  const before = mock.requests.length;
+  await assert.rejects(client.get("me", {}, { token: "t" }), RateLimitError);
+  assert.equal(mock.requests.length, before);
+});
+
+test("usageFrom reads the highest usage across headers", () => {
+  const usage = usageFrom({
+    "x-app-usage": JSON.stringify({ call_count: 12, total_time: 40, total_cputime: 3 }),
+    "x-page-usage": JSON.stringify({ call_count: 71 }),
+  });
+  assert.deepEqual(usage, { percent: 71, regainMs: 0 });
+  assert.deepEqual(usageFrom({ "x-app-usage": "not json" }), { percent: 0, regainMs: 0 });
+});
+
+test("facebookPoster uploads photos and creates the feed post through the client", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "domka-graph-"));
+  const photo = path.join(dir, "card.png");
+  fs.writeFileSync(photo, "png");
+  try {
+    const id = await poster.uploadUnpublishedPhoto(page, photo);
+    const postId = await poster.createFeedPostWithMedia(page, { message: "শিরোনাম", mediaFbids: [id] });
+    const post = mock.posts.get(postId);
+    assert.equal(post.message, "শিরোনাম");
+    assert.equal(post.is_published, true);
+    assert.equal(mock.requests.find((r) => r.fields.source)?.fields.source, "<file card.png>");
+
+    mock.failNext({ code: 506, subcode: 1366051 }, { path: /feed$/ });
+    await assert.rejects(poster.createFeedPostWithMedia(page, { message: "again" }), DuplicatePostError);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
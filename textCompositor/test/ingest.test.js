@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "domka-ingest-"));
+Object.assign(process.env, {
+  ARTICLES_STORE: path.join(dir, "articles", "ingested.json"),
+  INGEST_STATE_PATH: path.join(dir, "ingest-state.json"),
+  INGEST_MAX_AGE_HOURS: "48",
+});
+const ingest = await import("../ingest.js");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const NOW = Date.parse("2026-10-19T12:00:00Z");
+const item = (n, extra = {}) => ({
+  article_title: `  শিরোনাম\n${n} `,
+  url: `https://www.prothomalo.com/bangladesh/${n}`,
+  article_image: "https://images.prothomalo.com/x.jpg",
+  published_date: "2026-10-19T10:00:00+06:00",
+  published_date_bn: "১৯.১০.২০২৬",
+  category_bn: "বাংলাদেশ",
+  source: "প্রথম আলো",
+  domain: "Prothomalo",
+  article_body: "বিস্তারিত খবর",
+  ...extra,
+});
+
+test("normalizeDate reads ISO, day formats, Bangla digits and month names", () => {
+  assert.equal(ingest.normalizeDate("2026-10-19T10:00:00+06:00"), "2026-10-19T04:00:00.000Z");
+  assert.equal(ingest.normalizeDate("2026-10-19T10:00:00.123456"), "2026-10-19T10:00:00.123Z");
+  assert.equal(ingest.normalizeDate("১৯.১০.২০২৬"), "2026-10-18T18:00:00.000Z");
+  assert.equal(ingest.normalizeDate("১৯ অক্টোবর ২০২৬"), "2026-10-18T18:00:00.000Z");
+  assert.equal(ingest.normalizeDate("2026-10-19"), "2026-10-18T18:00:00.000Z");
+  assert.equal(ingest.normalizeDate("৩২.১৩.২০২৬"), null);
+  assert.equal(ingest.normalizeDate("গতকাল"), null);
+  assert.equal(ingest.normalizeDate(null), null);
+});
+
+test("validateItem normalizes fields and reports what is wrong", () => {
+  const { value } = ingest.validateItem(item(1));
+  assert.equal(value.article_title, "শিরোনাম 1");
+  assert.equal(value.domain, "prothomalo");
+  assert.equal(value.published_date, "2026-10-19T04:00:00.000Z");
+  assert.match(value.id, /^[0-9a-f]{16}$/);
+
+  const fallback = ingest.validateItem(item(2, { published_date: null })).value;
+  assert.equal(fallback.published_date, "2026-10-18T18:00:00.000Z");
+
+  const { errors } = ingest.validateItem({ url: "ftp://x", category_bn: 5, published_date: "?" });
+  assert.deepEqual(errors, [
+    '"article_title" is required',
+    '"url" must be an http(s) URL',
+    '"category_bn" must be a string',
+    '"published_date" is missing or not a date',
+  ]);
+});
+
+test("ingestItems adds new fresh articles once and prunes stale ones", () => {
+  const stale = item(3, { published_date: "2026-10-10T10:00:00Z" });
+  let stats = ingest.ingestItems([item(1), item(2), item(1), stale, { url: "x" }], { now: NOW });
+  assert.deepEqual(
+    { ...stats, invalid: stats.invalid.map((i) => i.index) },
+    { accepted: 2, duplicates: 1, stale: 1, pruned: 0, invalid: [4] }
+  );
+  // The same story with a tracking parameter is still a duplicate
+  stats = ingest.ingestItems([item(2, { url: "https://prothomalo.com/bangladesh/2?utm_source=fb" })], { now: NOW });
+  assert.equal(stats.duplicates, 1);
+  assert.equal(ingest.loadStore().length, 2);
+
+  // Three days later both are past the cutoff
+  stats = ingest.ingestItems([], { now: NOW + 72 * 60 * 60 * 1000 });
+  assert.equal(stats.pruned, 2);
+  assert.deepEqual(ingest.loadStore(), []);
+});
+
+test("the feed watcher reads appended JSONL lines and changed JSON files", () => {
+  const feeds = path.join(dir, "feeds");
+  fs.mkdirSync(feeds);
+  const jsonl = path.join(feeds, "prothomalo.jsonl");
+  const opts = { now: NOW };
+
+  // A spider mid-write: the half line waits for the next poll
+  fs.writeFileSync(jsonl, `${JSON.stringify(item(10))}\nnot json\n${JSON.stringify(item(11)).slice(0, 20)}`);
+  let [result] = ingest.scanFeeds(feeds, opts);
+  assert.equal(result.accepted, 1);
+  assert.deepEqual(result.invalid[0].lines, [2]);
+
+  fs.writeFileSync(jsonl, `${JSON.stringify(item(10))}\nnot json\n${JSON.stringify(item(11))}\n`);
+  [result] = ingest.scanFeeds(feeds, opts);
+  assert.equal(result.accepted, 1);
+  assert.equal(result.invalid.length, 0);
+  assert.deepEqual(ingest.scanFeeds(feeds, opts), []);
+
+  fs.writeFileSync(path.join(feeds, "kalbela.json"), JSON.stringify([item(12), item(10)]));
+  [result] = ingest.scanFeeds(feeds, opts);
+  assert.equal(result.file, "kalbela.json");
+  assert.equal(result.accepted, 1);
+  assert.equal(result.duplicates, 1);
+  assert.equal(ingest.loadStore().length, 3);
+});
+
+test("with lockWaitMs 0 a busy store fails at once instead of waiting", () => {
+  const lockPath = `${process.env.ARTICLES_STORE}.lock`;
+  fs.writeFileSync(lockPath, String(process.pid));
+  try {
+    const started = Date.now();
+    assert.throws(() => ingest.ingestItems([item(9)], { now: NOW, lockWaitMs: 0 }), { name: "FileLockBusyError" });
+    assert.ok(Date.now() - started < 1000);
+  } finally {
+    fs.rmSync(lockPath, { force: true });
+  }
+  assert.equal(ingest.ingestItems([item(9)], { now: NOW, lockWaitMs: 0 }).accepted, 1);
+});
+
+test("the server and the watcher adding at once lose no articles", async () => {
+  const before = ingest.loadStore().length;
+  const script = (from) => `
+    const { ingestItems } = await import(${JSON.stringify(new URL("../ingest.js", import.meta.url).href)});
+    for (let n = ${from}; n < ${from + 15}; n++) {
+      ingestItems([{ article_title: "খবর " + n, url: "https://example.com/race/" + n,
+        published_date: "2026-10-19T10:00:00Z" }], { now: ${NOW} });
+    }
+  `;
+  // A script file: ingest.js checks process.argv[1] to see whether it was run directly
+  const run = (from) =>
+    new Promise((resolve, reject) => {
+      const file = path.join(dir, `ingest-${from}.mjs`);
+      fs.writeFileSync(file, script(from));
+      const child = spawn(process.execPath, [file], {
+        env: { ...process.env, LOG_LEVEL: "error" },
+        stdio: "inherit",
+      });
+      child.on("error", reject);
+      child.on("exit", (code) => (code === 0 ? resolve() : reject(new Error(`ingest exited with ${code}`))));
+    });
+  await Promise.all([run(0), run(100)]);
+  assert.equal(ingest.loadStore().length - before, 30);
+});
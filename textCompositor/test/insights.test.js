@@ -0,0 +1,134 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startMockGraph } from "../mockGraph.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "domka-insights-"));
+Object.assign(process.env, {
+  JOBS_PATH: path.join(dir, "jobs.json"),
+  INSIGHTS_PATH: path.join(dir, "insights.json"),
+  TARGETS_PATH: path.join(dir, "no-targets.json"),
+  PAGE_ID: "123",
+  ACCESS_TOKEN: "page-token",
+  GRAPH_RETRY_BASE_MS: "5",
+});
+
+let mock;
+let insights;
+
+before(async () => {
+  mock = await startMockGraph();
+  process.env.GRAPH_BASE_URL = mock.url;
+  insights = await import("../insights.js");
+});
+
+after(async () => {
+  await mock.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Posts as the publish job would have created them, with what the model predicted
+async function publish(articleId, score, bestTime, stats, variant = 0) {
+  const { graph } = await import("../graphClient.js");
+  const { id } = await graph.post("123/feed", { message: articleId }, { token: "page-token" });
+  mock.stats.set(id, stats);
+  const jobs = fs.existsSync(process.env.JOBS_PATH) ? JSON.parse(fs.readFileSync(process.env.JOBS_PATH)) : [];
+  jobs.push({
+    id: `job-${articleId}`,
+    type: "publish",
+    status: "done",
+    payload: {
+      target: "default",
+      articleId,
+      caption_variant: variant,
+      prediction: { score, best_post_time_utc: bestTime, model: "m1", prompt_version: "v1" },
+    },
+    result: { postId: id },
+  });
+  fs.writeFileSync(process.env.JOBS_PATH, JSON.stringify(jobs));
+  return id;
+}
+
+test("collects metrics for published posts by article ID", async () => {
+  const hour = `${String(new Date().getUTCHours()).padStart(2, "0")}:00`;
+  const hot = await publish("a1", 90, hour, { reach: 5000, reactions: 300, comments: 40, shares: 20, link_clicks: 140 });
+  await publish("a2", 50, "03:00", { reach: 1500, reactions: 60, comments: 5, shares: 2, link_clicks: 13 }, 1);
+  await publish("a3", 20, "03:00", { reach: 300, reactions: 4, comments: 0, shares: 0, link_clicks: 1 });
+
+  const stats = await insights.collectInsights();
+  assert.deepEqual(stats, { fetched: 3, frozen: 0, failed: 0 });
+  const stored = insights.loadInsights();
+  assert.deepEqual(stored.a1.posts[hot].metrics, {
+    reach: 5000,
+    reactions: 300,
+    comments: 40,
+    shares: 20,
+    link_clicks: 140,
+  });
+  assert.equal(stored.a1.prediction.score, 90);
+  assert.equal(mock.requests.at(-1).query.access_token, "page-token");
+});
+
+test("old posts keep their last numbers; failures are skipped", async () => {
+  const later = Date.now() + 40 * 24 * 60 * 60 * 1000;
+  assert.deepEqual(await insights.collectInsights({ now: later }), { fetched: 0, frozen: 3, failed: 0 });
+
+  mock.failNext({ code: 190, message: "Session has expired" });
+  const stats = await insights.collectInsights();
+  assert.equal(stats.failed, 1);
+  assert.equal(stats.fetched, 2);
+});
+
+test("report compares predicted score, posting hour and caption variant with engagement", () => {
+  const report = insights.buildReport();
+  assert.equal(report.posts, 3);
+  assert.equal(report.overall.score_engagement_correlation > 0.9, true);
+  assert.deepEqual(
+    report.overall.by_score_band.map((b) => [b.band, b.avg_engagement]),
+    [
+      ["20-39", 5],
+      ["40-59", 80],
+      ["80-100", 500],
+    ]
+  );
+  assert.equal(report.by_model[0].model, "m1");
+  assert.equal(report.overall.by_hour_utc.reduce((n, h) => n + h.posts, 0), 3);
+  assert.deepEqual(
+    report.overall.by_caption_variant.map((v) => [v.variant, v.posts]),
+    [
+      ["v1", 2],
+      ["v2", 1],
+    ]
+  );
+  assert.ok(report.overall.predicted_hour_hit_rate >= 0.33);
+});
+
+test("posts without a usable predicted time are left out of the hour hit rate", () => {
+  const post = (postId) => ({
+    [postId]: { target: "default", created_time: "2026-10-19T00:30:00Z", metrics: { reach: 100 }, caption_variant: 0 },
+  });
+  const report = insights.buildReport({
+    b1: { prediction: { score: 40 }, posts: post("p1") },
+    b2: { prediction: { score: 50, best_post_time_utc: "soon" }, posts: post("p2") },
+    b3: { prediction: { score: 60, best_post_time_utc: "05:00" }, posts: post("p3") },
+  });
+  assert.equal(report.overall.by_hour_utc[0].posts, 3);
+  assert.equal(report.overall.predicted_hour_hit_rate, 0);
+});
+
+test("the insights job queues its next run even when collection fails", async () => {
+  const pendingRuns = () => JSON.parse(fs.readFileSync(process.env.JOBS_PATH)).filter((j) => j.type === "insights" && j.status === "pending");
+  const saved = fs.readFileSync(process.env.INSIGHTS_PATH);
+  fs.writeFileSync(process.env.INSIGHTS_PATH, "{ not json");
+  try {
+    await assert.rejects(insights.insightsJob());
+  } finally {
+    fs.writeFileSync(process.env.INSIGHTS_PATH, saved);
+  }
+  assert.equal(pendingRuns().length, 1);
+  // The retry of the failed run does not start a second schedule
+  await insights.insightsJob();
+  assert.equal(pendingRuns().length, 1);
+});
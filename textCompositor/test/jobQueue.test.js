@@ -0,0 +1,128 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "domka-jobs-"));
+process.env.JOBS_PATH = path.join(dir, "jobs.json");
+const queue = await import("../jobQueue.js");
+const { withFileLock } = await import("../fileLock.js");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const reset = () => fs.rmSync(process.env.JOBS_PATH, { force: true });
+const jobs = () => JSON.parse(fs.readFileSync(process.env.JOBS_PATH, "utf8"));
+const edit = (fn) => {
+  const all = jobs();
+  fn(all);
+  fs.writeFileSync(process.env.JOBS_PATH, JSON.stringify(all));
+};
+
+// A PID that is certainly not running
+const deadPid = () => {
+  for (let pid = 4000000; ; pid++) {
+    try {
+      process.kill(pid, 0);
+    } catch (err) {
+      if (err.code === "ESRCH") return pid;
+    }
+  }
+};
+
+test("two processes working the same queue run every job once", async () => {
+  reset();
+  for (let i = 0; i < 12; i++) queue.enqueue("publish", { n: i });
+  const log = path.join(dir, "ran.log");
+  const script = `
+    import fs from "fs";
+    const { runDueJobs } = await import(${JSON.stringify(new URL("../jobQueue.js", import.meta.url).href)});
+    await runDueJobs({
+      publish: async ({ n }) => {
+        fs.appendFileSync(${JSON.stringify(log)}, n + "\\n");
+        await new Promise((r) => setTimeout(r, 5));
+      },
+    });
+  `;
+  const cwd = path.dirname(fileURLToPath(import.meta.url));
+  const run = () =>
+    new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, ["--input-type=module", "-e", script], {
+        cwd,
+        env: { ...process.env, LOG_LEVEL: "error" },
+        stdio: "inherit",
+      });
+      child.on("error", reject);
+      child.on("exit", (code) => (code === 0 ? resolve() : reject(new Error(`worker exited with ${code}`))));
+    });
+  await Promise.all([run(), run()]);
+
+  const ran = fs.readFileSync(log, "utf8").trim().split("\n").map(Number);
+  assert.equal(ran.length, 12);
+  assert.equal(new Set(ran).size, 12);
+  assert.ok(queue.listJobs().every((j) => j.status === "done" && j.attempts === 1));
+});
+
+test("recovery only requeues jobs whose process is gone", () => {
+  reset();
+  const alive = queue.enqueue("publish", {});
+  const crashed = queue.enqueue("publish", {});
+  edit((all) => {
+    all[0].status = "running";
+    all[0].claimed_by = { pid: process.pid, host: os.hostname() };
+    all[1].status = "running";
+    all[1].claimed_by = { pid: deadPid(), host: os.hostname() };
+  });
+  assert.equal(queue.recoverStaleJobs(), 1);
+  const byId = Object.fromEntries(queue.listJobs().map((j) => [j.id, j.status]));
+  assert.deepEqual(byId, { [alive.id]: "running", [crashed.id]: "pending" });
+});
+
+test("a retried job sees the progress the earlier attempt saved", async () => {
+  reset();
+  const job = queue.enqueue("publish", {});
+  const seen = [];
+  let calls = 0;
+  await queue.runDueJobs({
+    publish: async (payload, current) => {
+      seen.push({ attempts: current.attempts, progress: current.progress });
+      if (calls++ === 0) {
+        queue.saveProgress(current.id, { postId: "123_1" });
+        throw new Error("comment queue unreachable");
+      }
+    },
+  });
+  edit((all) => (all[0].runAt = new Date(0).toISOString()));
+  await queue.runDueJobs({ publish: async (payload, current) => seen.push(current.progress) });
+  assert.deepEqual(seen, [{ attempts: 1, progress: {} }, { postId: "123_1" }]);
+  assert.equal(queue.listJobs()[0].id, job.id);
+  assert.equal(queue.listJobs()[0].status, "done");
+});
+
+test("a job removed from the file while running is left alone", async () => {
+  reset();
+  queue.enqueue("publish", {});
+  const done = await queue.runDueJobs({
+    publish: async () => fs.writeFileSync(process.env.JOBS_PATH, "[]"),
+  });
+  assert.equal(done, 1);
+  assert.deepEqual(jobs(), []);
+});
+
+test("a lock left by a dead process is taken over", () => {
+  const file = path.join(dir, "locked.json");
+  fs.writeFileSync(`${file}.lock`, String(deadPid()));
+  assert.equal(withFileLock(file, () => 42), 42);
+  assert.equal(fs.existsSync(`${file}.lock`), false);
+});
+
+test("jobs without a handler in this process stay pending for one that has it", async () => {
+  reset();
+  const insights = queue.enqueue("insights", {});
+  const publish = queue.enqueue("publish", {});
+  assert.equal(await queue.runDueJobs({ publish: async () => {} }), 1);
+  const byId = Object.fromEntries(queue.listJobs().map((j) => [j.id, j.status]));
+  assert.deepEqual(byId, { [insights.id]: "pending", [publish.id]: "done" });
+});
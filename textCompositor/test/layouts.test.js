@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadLayouts, layoutForArticle } from "../layouts.js";
+import { matchesFilters } from "../articleFilters.js";
+
+const slot = { field: "article_title", box: { l: 0, t: 0, r: 1, b: 1 }, size: { start: 0.04, min: 0.03 } };
+const layouts = [
+  { name: "default", slots: [slot] },
+  { name: "kalbela-sports", match: { domain: ["Kalbela"], category: ["খেলা"] }, slots: [slot] },
+  { name: "story", preset: "story", slots: [slot] },
+  { name: "excerpt", slide: 2, slots: [slot] },
+];
+
+test("matchesFilters compares domain and either category field, ignoring case", () => {
+  const article = { domain: "kalbela", category: "Sports", category_bn: "খেলা" };
+  assert.equal(matchesFilters(undefined, article), true);
+  assert.equal(matchesFilters({ domain: ["KALBELA"] }, article), true);
+  assert.equal(matchesFilters({ category: ["sports"] }, article), true);
+  assert.equal(matchesFilters({ domain: ["kalbela"], category: ["রাজনীতি"] }, article), false);
+  assert.equal(matchesFilters({ domain: ["prothomalo"] }, article), false);
+});
+
+test("layoutForArticle picks a matching layout per preset and slide", () => {
+  const name = (article, opts) => layoutForArticle(article, layouts, opts)?.name ?? null;
+  assert.equal(name({ domain: "kalbela", category_bn: "খেলা" }), "kalbela-sports");
+  assert.equal(name({ domain: "kalbela", category_bn: "জাতীয়" }), "default");
+  assert.equal(name({ domain: "kalbela", category_bn: "খেলা" }, { preset: "story" }), "story");
+  assert.equal(name({}, { slide: 2 }), "excerpt");
+  assert.equal(name({}, { preset: "link" }), null);
+});
+
+test("the production layouts load", () => {
+  const names = loadLayouts("layouts").map((l) => l.name);
+  assert.deepEqual(names.sort(), ["default", "feed-excerpt", "link", "story"]);
+});
@@ -0,0 +1,142 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "domka-obs-"));
+Object.assign(process.env, {
+  RUN_REPORTS_DIR: path.join(dir, "runs"),
+  RUN_REPORTS_KEEP: "2",
+  JOBS_PATH: path.join(dir, "jobs.json"),
+  REVIEW_PATH: path.join(dir, "review.json"),
+  ARTICLES_STORE: path.join(dir, "ingested.json"),
+  FB_APP_SECRET: "s3cr3t-app-value",
+});
+const { createLogger, redact } = await import("../logger.js");
+const runReport = await import("../runReport.js");
+const { enqueue, startWorker } = await import("../jobQueue.js");
+const { renderMetrics } = await import("../metrics.js");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const PAGE_TOKEN = `EAA${"x1".repeat(20)}`;
+
+test("redact hides secret fields, env secret values and tokens in URLs", () => {
+  const out = redact({
+    access_token: "EAAabc",
+    nested: { password: "hunter2", page: "sports" },
+    url: "https://graph.facebook.com/me?access_token=xyz123&fields=id",
+    error: new Error("bad secret s3cr3t-app-value"),
+    tg: "https://api.telegram.org/bot123456:AAbbccddeeffgghhiijjkkll/sendPhoto",
+    header: "Bearer abc.def.ghi",
+    token: PAGE_TOKEN,
+  });
+  assert.equal(out.access_token, "[redacted]");
+  assert.deepEqual(out.nested, { password: "[redacted]", page: "sports" });
+  assert.equal(out.url, "https://graph.facebook.com/me?access_token=[redacted]&fields=id");
+  assert.equal(out.error.message, "bad secret [redacted]");
+  assert.equal(out.tg, "https://api.telegram.org/bot[redacted]/sendPhoto");
+  assert.equal(out.header, "Bearer [redacted]");
+  assert.equal(out.token, "[redacted]");
+  assert.equal(redact(`token ${PAGE_TOKEN} leaked`), "token [redacted] leaked");
+});
+
+test("the JSON logger writes one redacted event per line", () => {
+  const lines = [];
+  const write = process.stdout.write;
+  process.env.LOG_FORMAT = "json";
+  process.stdout.write = (chunk) => lines.push(String(chunk)) && true;
+  try {
+    const log = createLogger("test");
+    log.info("✅ Posted", { target: "sports", secret: "x", url: "/p?client_secret=abc" });
+    log.debug("quiet");
+  } finally {
+    process.stdout.write = write;
+    delete process.env.LOG_FORMAT;
+  }
+  assert.equal(lines.length, 1);
+  const event = JSON.parse(lines[0]);
+  assert.equal(event.level, "info");
+  assert.equal(event.scope, "test");
+  assert.equal(event.msg, "✅ Posted");
+  assert.equal(event.target, "sports");
+  assert.equal(event.secret, "[redacted]");
+  assert.equal(event.url, "/p?client_secret=[redacted]");
+});
+
+test("count and timed pass through without a run", async () => {
+  runReport.count("articles_scored");
+  assert.equal(await runReport.timed("score", async () => 42), 42);
+  assert.equal(runReport.finishRun(), null);
+});
+
+test("finishRun writes the report, keeps the newest per name and latestReports reads them", async () => {
+  const reportsDir = process.env.RUN_REPORTS_DIR;
+  for (let i = 0; i < 3; i++) {
+    runReport.startRun("domka-run");
+    runReport.count("posts_queued", i);
+    await runReport.timed("render", async () => {});
+    runReport.finishRun();
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  runReport.startRun("score");
+  runReport.count("articles_scored", 3);
+  const file = runReport.finishRun({ error: new Error("model down") });
+
+  assert.match(path.basename(file), /^score-\d{8}T\d{9}Z\.json$/);
+  const names = fs.readdirSync(reportsDir).filter((f) => f.startsWith("domka-run-"));
+  assert.equal(names.length, 2);
+
+  const latest = runReport.latestReports();
+  assert.deepEqual(Object.keys(latest).sort(), ["domka-run", "score"]);
+  assert.equal(latest["domka-run"].status, "ok");
+  assert.equal(latest["domka-run"].counters.posts_queued, 2);
+  assert.ok("render" in latest["domka-run"].timings_ms);
+  assert.equal(latest.score.status, "failed");
+  assert.equal(latest.score.error, "model down");
+});
+
+test("renderMetrics exposes runs, jobs and the editorial queue", () => {
+  const now = Date.now();
+  enqueue("publish", { target: "sports" }, { runAt: now - 10 * 60 * 1000 });
+  fs.writeFileSync(
+    process.env.REVIEW_PATH,
+    JSON.stringify({ items: { a: { status: "held" }, b: { status: "approved" }, c: { status: "held" } } })
+  );
+  const text = renderMetrics({ now });
+  assert.match(text, /# TYPE domka_run_last_success gauge/);
+  assert.match(text, /^domka_run_last_success\{run="domka-run"\} 1$/m);
+  assert.match(text, /^domka_run_last_success\{run="score"\} 0$/m);
+  assert.match(text, /^domka_run_last_count\{run="score",counter="articles_scored"\} 3$/m);
+  // Counters nothing touched are reported as 0, so "== 0" alerts fire
+  assert.match(text, /^domka_run_last_count\{run="score",counter="posts_queued"\} 0$/m);
+  assert.match(text, /^domka_jobs\{type="publish",status="pending"\} 1$/m);
+  assert.match(text, /^domka_jobs_overdue 1$/m);
+  assert.match(text, /^domka_review_items\{status="held"\} 2$/m);
+  assert.match(text, /^domka_ingested_articles 0$/m);
+  assert.doesNotMatch(text, /NaN|undefined/);
+});
+
+test("the worker writes a run report for polls that ran jobs", async () => {
+  const reports = () => fs.readdirSync(process.env.RUN_REPORTS_DIR).filter((f) => f.startsWith("worker-"));
+  enqueue("ping", {});
+  enqueue("ping", { fail: true }, { maxAttempts: 1 });
+  const worker = startWorker(
+    {
+      ping: async ({ fail }) => {
+        if (fail) throw new Error("pong lost");
+      },
+    },
+    { intervalMs: 10, runName: "worker" }
+  );
+  // The first poll runs both jobs; the idle ones after it write nothing
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  worker.stop();
+
+  assert.equal(reports().length, 1);
+  const { counters } = runReport.latestReports().worker;
+  assert.equal(counters.ping_jobs_done, 1);
+  assert.equal(counters.ping_jobs_failed, 1);
+  assert.equal(counters.ping_jobs_retried, 0);
+});
@@ -0,0 +1,158 @@
+/**
+ * Visual regression tests for photocard rendering.
+ *
+ * Renders test/fixtures/articles.json with the production layouts (layouts/*.json:
+ * the feed card, its excerpt slide, story and link) and compares each card
+ * against test/goldens/<case>-<layout>.png. The layouts are copied to a temp dir
+ * with their fonts pointed at the bundled Hind Siliguri and Noto Emoji
+ * (test/fixtures/font, OFL) and the feed card's template at
+ * test/fixtures/template.png, so the run does not depend on the fonts and
+ * templates installed on the machine.
+ *
+ * A card fails when more than MAX_DIFF_RATIO of its pixels differ by more than
+ * CHANNEL_TOLERANCE on any channel; a diff image (changed pixels in red over a
+ * faded golden) is written to test/output/.
+ *
+ * Run:   npm test
+ * After an intended visual change, review the new cards and refresh the goldens:
+ *        npm run test:update        (or UPDATE_GOLDENS=1 npm test)
+ *
+ * Skipped when skia-canvas has no native binary for this platform; a missing
+ * golden fails the test.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const GOLDEN_DIR = path.join(ROOT, "test/goldens");
+const DIFF_DIR = path.join(ROOT, "test/output");
+const UPDATE = process.argv.includes("--update") || process.env.UPDATE_GOLDENS === "1";
+
+const CHANNEL_TOLERANCE = 32; // per-channel difference (0-255) still counted as equal
+const MAX_DIFF_RATIO = 0.005; // share of differing pixels allowed (antialiasing noise)
+
+const FONT = {
+  family: "TestHindSiliguri",
+  file: "test/fixtures/font/hind-siliguri-bengali-700-normal.woff2",
+  fallback: [
+    { family: "TestHindSiliguriLatin", file: "test/fixtures/font/hind-siliguri-latin-700-normal.woff2" },
+    // Monochrome Noto Emoji, so the emoji case does not depend on the machine's emoji font
+    { family: "TestNotoEmoji", file: "test/fixtures/font/noto-emoji-4-700-normal.woff2" },
+  ],
+};
+const TEMPLATE = "test/fixtures/template.png";
+
+// Font, template and photo paths are resolved from the package root
+process.chdir(ROOT);
+const layoutsDir = fs.mkdtempSync(path.join(os.tmpdir(), "domka-layouts-"));
+for (const file of fs.readdirSync("layouts").filter((f) => f.endsWith(".json"))) {
+  const layout = JSON.parse(fs.readFileSync(path.join("layouts", file), "utf8"));
+  if (layout.template) layout.template = TEMPLATE;
+  for (const slot of layout.slots) slot.font = { ...FONT, weight: slot.font?.weight };
+  fs.writeFileSync(path.join(layoutsDir, file), JSON.stringify(layout));
+}
+process.env.LAYOUTS_DIR = layoutsDir;
+test.after(() => fs.rmSync(layoutsDir, { recursive: true, force: true }));
+
+// Probe with a plain require: a failed ESM import of the native module also
+// leaves an unhandled rejection behind, which fails the run instead of skipping
+let skia = null;
+let skipReason = false;
+try {
+  skia = createRequire(import.meta.url)("skia-canvas");
+} catch (err) {
+  skipReason = `skia-canvas unavailable: ${err.message.split("\n")[0]}`;
+}
+const { renderCards } = skia ? await import("../photocard-cli-skia.js") : {};
+
+const cases = JSON.parse(fs.readFileSync("test/fixtures/articles.json", "utf8"));
+
+async function pixels(file) {
+  const image = await skia.loadImage(file);
+  const canvas = new skia.Canvas(image.width, image.height);
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(image, 0, 0);
+  return { width: image.width, height: image.height, data: ctx.getImageData(0, 0, image.width, image.height).data };
+}
+
+/**
+ * Compare two PNGs → { ratio, diff }: share of differing pixels and a canvas
+ * showing them in red over the faded golden.
+ */
+async function compare(actualPath, goldenPath) {
+  const actual = await pixels(actualPath);
+  const golden = await pixels(goldenPath);
+  if (actual.width !== golden.width || actual.height !== golden.height) {
+    return { ratio: 1, diff: null, sizeMismatch: `${actual.width}×${actual.height} vs ${golden.width}×${golden.height}` };
+  }
+  const diff = new skia.Canvas(golden.width, golden.height);
+  const ctx = diff.getContext("2d");
+  const out = ctx.createImageData(golden.width, golden.height);
+  let changed = 0;
+  for (let i = 0; i < golden.data.length; i += 4) {
+    const delta = Math.max(
+      Math.abs(actual.data[i] - golden.data[i]),
+      Math.abs(actual.data[i + 1] - golden.data[i + 1]),
+      Math.abs(actual.data[i + 2] - golden.data[i + 2]),
+      Math.abs(actual.data[i + 3] - golden.data[i + 3])
+    );
+    if (delta > CHANNEL_TOLERANCE) {
+      changed++;
+      out.data.set([255, 0, 0, 255], i);
+    } else {
+      const grey = Math.round(golden.data[i] * 0.3 + golden.data[i + 1] * 0.59 + golden.data[i + 2] * 0.11);
+      const faded = 255 - Math.round((255 - grey) * 0.25);
+      out.data.set([faded, faded, faded, 255], i);
+    }
+  }
+  ctx.putImageData(out, 0, 0);
+  return { ratio: changed / (golden.width * golden.height), diff };
+}
+
+test("photocard visual regression", { skip: skipReason }, async (t) => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "domka-visual-"));
+  t.after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+  const results = await renderCards(
+    cases.map((article) => ({ article, outDir })),
+    { presets: ["feed", "story", "link"], carousel: true }
+  );
+
+  for (const [i, result] of results.entries()) {
+    assert.ok(result.ok, `${cases[i].case} did not render: ${result.error || "no output"}`);
+    for (const output of result.outputs) {
+      const name = `${cases[i].case}-${output.layout}`;
+      await t.test(name, async (st) => {
+        const golden = path.join(GOLDEN_DIR, `${name}.png`);
+
+        if (UPDATE) {
+          fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+          fs.copyFileSync(output.path, golden);
+          st.diagnostic(`updated ${path.relative(ROOT, golden)}`);
+          return;
+        }
+        assert.ok(fs.existsSync(golden), `no golden ${path.relative(ROOT, golden)} — run npm run test:update`);
+
+        const { ratio, diff, sizeMismatch } = await compare(output.path, golden);
+        if (ratio > MAX_DIFF_RATIO) {
+          fs.mkdirSync(DIFF_DIR, { recursive: true });
+          fs.copyFileSync(output.path, path.join(DIFF_DIR, `${name}.actual.png`));
+          if (diff) await diff.saveAs(path.join(DIFF_DIR, `${name}.diff.png`));
+        }
+        assert.ok(
+          ratio <= MAX_DIFF_RATIO,
+          sizeMismatch
+            ? `${name}: size changed (${sizeMismatch})`
+            : `${name}: ${(ratio * 100).toFixed(2)}% of pixels differ ` +
+                `(limit ${MAX_DIFF_RATIO * 100}%), see test/output/${name}.diff.png`
+        );
+      });
+    }
+  }
+});
@@ -0,0 +1,128 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "domka-policy-"));
+const fixturePath = path.join(dir, "model-responses.json");
+const scoredPath = path.join(dir, "scored.json");
+Object.assign(process.env, {
+  MODEL_BACKEND: "fixture",
+  FIXTURE_PATH: fixturePath,
+  SCORE_CACHE_PATH: path.join(dir, "cache.json"),
+  REVIEW_PATH: path.join(dir, "review.json"),
+  SCORED_PATH: scoredPath,
+  POLICY_PATH: path.join(dir, "policy.json"),
+});
+
+const gate = await import("../policyGate.js");
+const { decide, listReview, markQueued } = await import("../editorial.js");
+const { promptKey } = await import("../modelBackends.js");
+const { articleId } = await import("../articleId.js");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const article = (n, extra = {}) => ({
+  url: `https://example.com/${n}`,
+  article_title: `শিরোনাম ${n}`,
+  article_body: "সাধারণ খবর",
+  caption: `ক্যাপশন ${n}`,
+  category_bn: "জাতীয়",
+  ...extra,
+});
+const calm = article("calm");
+const gory = article("gory", { article_title: "নদীতে মিলল লাশ" });
+const crime = article("crime", { category: "Crime" });
+const kids = article("kids", { article_body: "স্কুলের শিশুরা পুরস্কার পেল" });
+const broken = article("broken");
+const articles = [calm, gory, crime, kids, broken];
+fs.writeFileSync(scoredPath, JSON.stringify(articles));
+
+// Recorded model answers, keyed by prompt like the fixture backend expects
+const answer = (a, labels, reason = "") => [promptKey(gate.buildPolicyPrompt(a)), JSON.stringify({ labels, reason })];
+fs.writeFileSync(
+  fixturePath,
+  JSON.stringify(
+    Object.fromEntries([
+      answer(calm, []),
+      answer(gory, ["graphic_violence", "made_up"], "মৃতদেহের বর্ণনা"),
+      answer(crime, []),
+      answer(kids, ["minors"]),
+      [promptKey(gate.buildPolicyPrompt(broken)), "দুঃখিত, পারছি না"],
+    ])
+  )
+);
+fs.writeFileSync(
+  process.env.POLICY_PATH,
+  JSON.stringify({ blocklist: { keywords: ["লাশ", "BEHEADED"], categories: ["crime", "অপরাধ"] } })
+);
+
+test("blocklist matches Bangla and English keywords and categories", () => {
+  const policy = gate.loadPolicy();
+  assert.deepEqual(gate.blocklistReasons(gory, policy), ['blocked keyword "লাশ" in title']);
+  assert.deepEqual(gate.blocklistReasons(crime, policy), ['blocked category "Crime"']);
+  assert.deepEqual(gate.blocklistReasons({ ...calm, captions: ["Man beheaded"] }, policy), [
+    'blocked keyword "BEHEADED" in caption',
+  ]);
+  assert.deepEqual(gate.blocklistReasons(calm, policy), []);
+});
+
+test("classification labels hold articles; unreadable output fails closed", async () => {
+  const policy = gate.loadPolicy();
+  assert.deepEqual(await gate.checkArticle(calm, policy), { decision: "allow", reasons: [], labels: [] });
+
+  const g = await gate.checkArticle(gory, policy);
+  assert.equal(g.decision, "hold");
+  assert.deepEqual(g.labels, ["graphic_violence"]);
+  assert.equal(g.reasons.length, 2);
+  assert.match(g.reasons[1], /graphic violence.*মৃতদেহের বর্ণনা/);
+
+  assert.match((await gate.checkArticle(kids, policy)).reasons[0], /photo/);
+  assert.match((await gate.checkArticle(broken, policy)).reasons[0], /sensitivity check failed/);
+  assert.equal((await gate.checkArticle(kids, { ...policy, holdLabels: [] })).decision, "allow");
+  assert.deepEqual((await gate.checkArticle(calm, { ...policy, requireHumanReview: true })).reasons, [
+    "human review required for every post",
+  ]);
+});
+
+test("gateArticles holds failures in the review queue and lets desk approvals through", async () => {
+  const { allowed, held } = await gate.gateArticles(articles, { scoredPath });
+  assert.deepEqual(allowed, [calm]);
+  assert.deepEqual(held.map((h) => h.article), [gory, crime, kids, broken]);
+
+  const queue = listReview({ status: "held", scoredPath });
+  assert.equal(queue.length, 4);
+  const row = queue.find((r) => r.id === articleId(gory));
+  assert.equal(row.policy.reasons[0], 'blocked keyword "লাশ" in title');
+  assert.deepEqual(row.history.map((h) => [h.action, h.editor]), [["held", "policy-gate"]]);
+
+  // Held items stay out until the desk decides
+  decide(articleId(kids), "approved", "রহিম", "ছবিতে মুখ ঝাপসা করা হয়েছে", scoredPath);
+  decide(articleId(broken), "rejected", "রহিম", null, scoredPath);
+  const again = await gate.gateArticles(articles, { scoredPath, limit: 2 });
+  assert.deepEqual(again.allowed, [calm, kids]);
+  assert.deepEqual(again.held, []);
+
+  // Still-held, rejected and desk-queued articles come back as skipped, never as allowed
+  markQueued(articleId(kids), ["job-1"], "রহিম");
+  const skip = await gate.gateArticles([gory, broken, kids], { scoredPath });
+  assert.deepEqual(skip.allowed, []);
+  assert.deepEqual(skip.held, []);
+  assert.deepEqual(
+    skip.skipped.map((s) => [s.article, s.status]),
+    [
+      [gory, "held"],
+      [broken, "rejected"],
+      [kids, "queued"],
+    ]
+  );
+});
+
+test("dry runs report without holding", async () => {
+  const fresh = article("fresh", { article_body: "লাশ উদ্ধার" });
+  fs.writeFileSync(scoredPath, JSON.stringify([...articles, fresh]));
+  const { held } = await gate.gateArticles([fresh], { scoredPath, record: false });
+  assert.equal(held.length, 1);
+  assert.equal(listReview({ status: "held", scoredPath }).length, 2);
+});
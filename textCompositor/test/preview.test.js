@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "domka-preview-"));
+process.env.JOBS_PATH = path.join(dir, "jobs.json");
+
+const { planArticle } = await import("../facebookPoster.js");
+const { writePreview } = await import("../preview.js");
+const { articleId } = await import("../articleId.js");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const article = {
+  url: "https://example.com/news/1",
+  article_title: "শিরোনাম <script>",
+  caption: "ক্যাপশন",
+  captions: ["ক্যাপশন", "দ্বিতীয় ক্যাপশন"],
+  category_bn: "জাতীয়",
+  article_body: "বিস্তারিত খবর",
+  best_post_time_utc: "14:30",
+  domain: "prothomalo",
+};
+const targets = [
+  { name: "main", pageId: "111" },
+  { name: "sports", pageId: "222", filters: { category: ["খেলা"] } },
+];
+
+test("planArticle resolves every matching target without queueing", () => {
+  const card = path.join(dir, "cards", `${articleId(article)}.png`);
+  const plans = planArticle({ article, localImagePath: card }, targets);
+  assert.deepEqual(plans.map((p) => p.target.name), ["main"]);
+  assert.equal(plans[0].payload.caption, "ক্যাপশন\nবিস্তারিত কমেন্টে\n#জাতীয়");
+  assert.equal(plans[0].payload.caption_variant, 0);
+  assert.equal(
+    plans[0].payload.comment,
+    "https://example.com/news/1?utm_source=facebook&utm_medium=social&utm_campaign=main&utm_content=v1\nবিস্তারিত খবর"
+  );
+  assert.ok(plans[0].payload.scheduledTime > Date.now() / 1000);
+  assert.equal(fs.existsSync(process.env.JOBS_PATH), false);
+});
+
+test("writePreview escapes text and links images relative to the page", () => {
+  const card = path.join(dir, "cards", `${articleId(article)}.png`);
+  fs.mkdirSync(path.dirname(card), { recursive: true });
+  fs.writeFileSync(card, "png");
+  const out = writePreview(planArticle({ article, localImagePath: card, caption: "a\nb" }, targets), path.join(dir, "p.html"));
+  const html = fs.readFileSync(out, "utf8");
+  assert.ok(html.includes("শিরোনাম &lt;script&gt;"));
+  assert.ok(html.includes(`src="cards/${articleId(article)}.png"`));
+  assert.ok(html.includes("a<br>b"));
+  assert.ok(!html.includes("Missing image"));
+});
+
+test("writePreview shows Telegram's HTML caption as sent, without escaping it again", () => {
+  const card = path.join(dir, "cards", `${articleId(article)}.png`);
+  const telegram = { name: "tg", platform: "telegram", chatId: "@domka" };
+  const out = writePreview(planArticle({ article, localImagePath: card }, [telegram]), path.join(dir, "tg.html"));
+  const html = fs.readFileSync(out, "utf8");
+  assert.ok(html.includes('">বিস্তারিত পড়ুন</a>'));
+  assert.ok(!html.includes("&lt;a href"));
+  assert.ok(html.includes("শিরোনাম &lt;script&gt;"));
+});
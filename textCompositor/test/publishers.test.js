@@ -0,0 +1,165 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { startMockGraph } from "../mockGraph.js";
+import { startMockTelegram } from "../mockTelegram.js";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "domka-publishers-"));
+const targetsPath = path.join(dir, "targets.json");
+fs.writeFileSync(
+  targetsPath,
+  JSON.stringify({
+    targets: [
+      { name: "fb", pageId: "123", tokenEnv: "FB_TOKEN" },
+      { name: "ig", platform: "instagram", igUserId: "1784", tokenEnv: "FB_TOKEN" },
+      { name: "tg", platform: "telegram", chatId: "@domka" },
+    ],
+  })
+);
+Object.assign(process.env, {
+  TARGETS_PATH: targetsPath,
+  JOBS_PATH: path.join(dir, "jobs.json"),
+  FB_TOKEN: "page-token",
+  TELEGRAM_BOT_TOKEN: "42:bot",
+  MEDIA_BASE_URL: "https://cdn.example.com/cards/",
+  GRAPH_RETRY_BASE_MS: "5",
+  IG_CONTAINER_POLL_MS: "5",
+});
+
+let graphMock;
+let telegramMock;
+let poster;
+let queue;
+
+const article = {
+  url: "https://example.com/news/1?a=1&b=2",
+  article_title: "শিরোনাম",
+  caption: `${"ক্ষ".repeat(800)} #খেলা`,
+  article_body: "বিস্তারিত খবর",
+};
+
+let id;
+function card(ext, n = "") {
+  const p = path.join(dir, `${id}${n}.${ext}`);
+  fs.writeFileSync(p, "image");
+  return p;
+}
+
+before(async () => {
+  graphMock = await startMockGraph();
+  telegramMock = await startMockTelegram();
+  process.env.GRAPH_BASE_URL = graphMock.url;
+  process.env.TELEGRAM_API_URL = telegramMock.url;
+  poster = await import("../facebookPoster.js");
+  queue = await import("../jobQueue.js");
+  id = (await import("../articleId.js")).articleId(article);
+});
+
+after(async () => {
+  await graphMock.close();
+  await telegramMock.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("planArticle fits caption, link and comment to each platform", () => {
+  const plans = poster.planArticle({ article, localImagePath: card("jpg") });
+  const by = Object.fromEntries(plans.map((p) => [p.payload.platform, p.payload]));
+
+  assert.ok(by.facebook.caption.length > 2200);
+  assert.match(by.facebook.comment, /^https:\/\/example\.com.*utm_source=facebook/);
+
+  assert.ok(by.instagram.caption.length <= 2200);
+  assert.ok(by.instagram.caption.endsWith("…"));
+  assert.ok(by.instagram.comment);
+
+  assert.equal(by.telegram.comment, null);
+  assert.ok(
+    by.telegram.caption.endsWith(
+      '<a href="https://example.com/news/1?a=1&amp;b=2&amp;utm_source=telegram&amp;utm_medium=social' +
+        '&amp;utm_campaign=tg&amp;utm_content=v1">বিস্তারিত পড়ুন</a>'
+    )
+  );
+  const visible = by.telegram.caption.replace(/<[^>]+>/g, "").replace(/&amp;/g, "&");
+  assert.ok(visible.length <= 1024);
+});
+
+test("instagram: container → publish, then the first comment is queued", async () => {
+  const payload = {
+    target: "ig",
+    localImagePaths: [card("jpg")],
+    caption: "ক্যাপশন",
+    comment: "https://example.com/news/1",
+  };
+  const result = await poster.jobHandlers.publish(payload);
+  assert.match(result.postId, /^ig_/);
+  const calls = graphMock.requests.filter((r) => r.path.startsWith("1784/"));
+  assert.deepEqual(calls.map((r) => r.path), ["1784/media", "1784/media_publish"]);
+  assert.equal(calls[0].fields.image_url, `https://cdn.example.com/cards/${id}.jpg`);
+
+  const comment = queue.listJobs({ type: "comment" }).at(-1);
+  assert.equal(comment.payload.postId, result.postId);
+  const { commentId } = await poster.jobHandlers.comment(comment.payload);
+  assert.ok(commentId.startsWith(`${result.postId}_c`));
+});
+
+test("instagram: carousel slides become child containers", async () => {
+  await poster.jobHandlers.publish({ target: "ig", localImagePaths: [card("jpg"), card("jpg", "-2")], caption: "c" });
+  const media = graphMock.requests.filter((r) => r.path === "1784/media").slice(-3);
+  assert.deepEqual(media.map((r) => r.fields.media_type || "child"), ["child", "child", "CAROUSEL"]);
+  assert.equal(media[2].fields.children.split(",").length, 2);
+});
+
+test("instagram: PNG cards fail at once instead of retrying", async () => {
+  await assert.rejects(
+    poster.jobHandlers.publish({ target: "ig", localImagePaths: [card("png")], caption: "c" }),
+    (err) => err.retryable === false && /JPEG/.test(err.message)
+  );
+});
+
+test("telegram: sendPhoto with an HTML caption, sendMediaGroup for slides, no comment job", async () => {
+  const comments = queue.listJobs({ type: "comment" }).length;
+  const single = await poster.jobHandlers.publish({
+    target: "tg",
+    localImagePaths: [card("png")],
+    caption: "ক্যাপশন <a href=\"x\">লিংক</a>",
+    comment: null,
+  });
+  assert.equal(single.postId, "1");
+  const sent = telegramMock.requests.at(-1);
+  assert.equal(sent.method, "sendPhoto");
+  assert.equal(sent.token, "42:bot");
+  assert.equal(sent.fields.chat_id, "@domka");
+  assert.equal(sent.fields.parse_mode, "HTML");
+  assert.equal(sent.files.photo, `${id}.png`);
+
+  await poster.jobHandlers.publish({ target: "tg", localImagePaths: [card("png"), card("png", "-2")], caption: "c" });
+  const album = telegramMock.requests.at(-1);
+  assert.equal(album.method, "sendMediaGroup");
+  assert.deepEqual(JSON.parse(album.fields.media).map((m) => m.media), ["attach://photo0", "attach://photo1"]);
+  assert.equal(queue.listJobs({ type: "comment" }).length, comments);
+});
+
+test("telegram: 429 is retried after retry_after, 403 is not", async () => {
+  telegramMock.failNext({ code: 429, description: "Too Many Requests", retryAfter: 7 });
+  await assert.rejects(
+    poster.jobHandlers.publish({ target: "tg", localImagePaths: [card("png")], caption: "c" }),
+    (err) => err.retryable === true && err.retryAfterMs === 7000
+  );
+  telegramMock.failNext({ code: 403, description: "Forbidden: bot is not a member of the channel chat" });
+  await assert.rejects(
+    poster.jobHandlers.publish({ target: "tg", localImagePaths: [card("png")], caption: "c" }),
+    (err) => err.retryable === false
+  );
+});
+
+test("platforms without native scheduling are queued at the planned slot", () => {
+  const scheduled = { ...article, best_post_time_utc: "14:30" };
+  const jobs = poster.publishArticle({ article: scheduled, localImagePath: card("jpg"), caption: "c" });
+  const runAt = Object.fromEntries(jobs.map((j) => [j.payload.platform, Date.parse(j.runAt)]));
+  const slot = jobs[0].payload.scheduledTime * 1000;
+  assert.ok(runAt.facebook < slot);
+  assert.equal(runAt.instagram, slot);
+  assert.equal(runAt.telegram, slot);
+});
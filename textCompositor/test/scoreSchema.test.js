@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractJson, validateScore, parseScoreOutput, toLatinDigits, MAX_CAPTIONS } from "../scoreSchema.js";
+
+test("extractJson reads plain, fenced and prose-wrapped objects", () => {
+  assert.deepEqual(extractJson('{"score": 1}'), { score: 1 });
+  assert.deepEqual(extractJson('```json\n{"score": 2}\n```'), { score: 2 });
+  assert.deepEqual(extractJson('এই নিন:\n```\n{"score": 3}\n```\nধন্যবাদ'), { score: 3 });
+  assert.deepEqual(extractJson('উত্তর: {"score": 4, "captions": ["a {b}"]} — আশা করি কাজে লাগবে'), {
+    score: 4,
+    captions: ["a {b}"],
+  });
+  // Braces inside strings, escaped quotes and nested objects don't end the scan early
+  assert.deepEqual(extractJson('note {"c": "\\"}\\"", "n": {"x": 1}} trailing }'), { c: '"}"', n: { x: 1 } });
+});
+
+test("extractJson throws when there is no object", () => {
+  assert.throws(() => extractJson("স্কোর ৮০"), /no JSON object/);
+  assert.throws(() => extractJson('{"score": 80,'), /no JSON object/);
+  assert.throws(() => extractJson(null), /no JSON object/);
+});
+
+test("validateScore coerces Bangla digits and clamps the score", () => {
+  const caption = "নদীভাঙনে ঘর হারাল শতাধিক পরিবার";
+  assert.equal(toLatinDigits("১৯:০৫"), "19:05");
+  const cases = [
+    [{ score: "৮২", best_post_time_utc: "১৪:৩০" }, 82, "14:30"],
+    [{ score: 140, best_post_time_utc: "9:05" }, 100, "09:05"],
+    [{ score: -5, best_post_time_utc: "23:59:00" }, 0, "23:59"],
+    [{ score: "67.6", best_post_time_utc: "00:00" }, 68, "00:00"],
+  ];
+  for (const [obj, score, time] of cases) {
+    const { value, errors } = validateScore({ ...obj, captions: [caption] });
+    assert.deepEqual(errors, []);
+    assert.equal(value.score, score);
+    assert.equal(value.best_post_time_utc, time);
+  }
+});
+
+test("validateScore normalizes captions and keeps a lone caption working", () => {
+  const { value } = validateScore({
+    score: 50,
+    captions: [" প্রথম\n লাইন ", "প্রথম লাইন", "", 7, "দ্বিতীয়", "তৃতীয়", "চতুর্থ"],
+    best_post_time_utc: "12:00",
+  });
+  assert.deepEqual(value.captions, ["প্রথম লাইন", "দ্বিতীয়", "তৃতীয়"]);
+  assert.equal(value.captions.length, MAX_CAPTIONS);
+  assert.equal(value.caption, "প্রথম লাইন");
+
+  const single = validateScore({ score: 50, caption: "একটাই", best_post_time_utc: "12:00" }).value;
+  assert.deepEqual(single.captions, ["একটাই"]);
+});
+
+test("validateScore reports every problem", () => {
+  assert.deepEqual(validateScore([1, 2]).errors, ["response must be a JSON object"]);
+  const { value, errors } = validateScore({ score: "অনেক", captions: [], best_post_time_utc: "24:10" });
+  assert.equal(value, null);
+  assert.equal(errors.length, 3);
+  assert.match(errors[0], /"score"/);
+  assert.match(errors[1], /"captions"/);
+  assert.match(errors[2], /"best_post_time_utc"/);
+});
+
+test("parseScoreOutput returns the value or a readable error for the repair prompt", () => {
+  const ok = parseScoreOutput('```json\n{"score": "৯০", "captions": ["ক"], "best_post_time_utc": "০৮:১৫"}\n```');
+  assert.deepEqual(ok, {
+    ok: true,
+    value: { score: 90, caption: "ক", captions: ["ক"], best_post_time_utc: "08:15" },
+  });
+  assert.deepEqual(parseScoreOutput("দুঃখিত, পারছি না"), { ok: false, error: "no JSON object found in the response" });
+  const bad = parseScoreOutput('{"score": 50, "captions": ["ক"]}');
+  assert.equal(bad.ok, false);
+  assert.match(bad.error, /best_post_time_utc/);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { graphemes, wrapText, balanceLines, truncateLines, fitText, excerpt } from "../textLayout.js";
+
+// Every grapheme cluster (and space) is one em wide: easy widths to reason about
+const measure = (text, fontPx) => graphemes(text).length * fontPx;
+
+test("graphemes keep conjuncts, reph and ZWJ forms whole", () => {
+  assert.deepEqual(graphemes("ক্ষমা"), ["ক্ষ", "মা"]);
+  assert.deepEqual(graphemes("স্ত্রী"), ["স্ত্রী"]);
+  assert.deepEqual(graphemes("পরীক্ষা"), ["প", "রী", "ক্ষা"]);
+  assert.deepEqual(graphemes("কর্তব্য"), ["ক", "র্ত", "ব্য"]);
+  assert.deepEqual(graphemes("র‍্যাব"), ["র‍্যা", "ব"]);
+});
+
+test("wrapText breaks between words, and long words between graphemes", () => {
+  assert.deepEqual(wrapText("আজ  ঢাকায় বৃষ্টি", 60, measure, 10), ["আজ ঢাকায়", "বৃষ্টি"]);
+  // Wider than the box: split, but never inside ক্ষ or স্ত্রী
+  const lines = wrapText("পরীক্ষাস্ত্রীক্ষমা", 20, measure, 10);
+  assert.deepEqual(lines, ["পরী", "ক্ষাস্ত্রী", "ক্ষমা"]);
+  assert.equal(lines.join(""), "পরীক্ষাস্ত্রীক্ষমা");
+});
+
+test("balanceLines evens out a headline without adding lines", () => {
+  const text = "সরকারি হাসপাতালে বিনা মূল্যে ডেঙ্গু পরীক্ষা শুরু";
+  const greedy = wrapText(text, 200, measure, 10);
+  const balanced = balanceLines(text, 200, measure, 10);
+  assert.equal(balanced.length, greedy.length);
+  const spread = (lines) => Math.max(...lines.map((l) => measure(l, 10))) - Math.min(...lines.map((l) => measure(l, 10)));
+  assert.ok(spread(balanced) < spread(greedy));
+});
+
+test("truncateLines ends the last kept line with an ellipsis that fits", () => {
+  const lines = ["প্রথম লাইন", "দ্বিতীয় লাইনটা লম্বা", "তৃতীয়"];
+  const cut = truncateLines(lines, 2, 80, measure, 10);
+  assert.equal(cut.length, 2);
+  assert.equal(cut[0], "প্রথম লাইন");
+  assert.ok(cut[1].endsWith("…"));
+  assert.ok(measure(cut[1], 10) <= 80);
+  // Cut between graphemes: the conjunct before the ellipsis stays whole
+  assert.deepEqual(truncateLines(["পরীক্ষা শেষ"], 1, 40, measure, 10), ["পরীক্ষা…"]);
+});
+
+test("fitText shrinks the font until the text fits", () => {
+  const text = "বন্যায় ক্ষতিগ্রস্ত কৃষকদের বীজ বিতরণ";
+  const fit = fitText(text, { width: 200, height: 100, startPx: 30, minPx: 10, maxLines: 2, measure });
+  assert.equal(fit.truncated, false);
+  assert.equal(fit.overflow, null);
+  assert.ok(fit.fontPx < 30);
+  assert.ok(fit.lines.length <= 2);
+  assert.ok(fit.lines.every((l) => measure(l, fit.fontPx) <= 200));
+});
+
+test("fitText truncates at the minimum size and reports it", () => {
+  const text = "রাজধানীর যানজট নিরসনে নতুন মেট্রোরেল লাইন ও উড়ালসড়ক প্রকল্পের কাজ দ্রুত শেষ করার নির্দেশ";
+  const fit = fitText(text, { width: 100, height: 40, startPx: 20, minPx: 10, lineHeight: 1.2, maxLines: 5, measure });
+  assert.equal(fit.fontPx, 10);
+  assert.equal(fit.truncated, true);
+  assert.equal(fit.lines.length, 3); // 40px box / 12px lines
+  assert.ok(fit.lines[2].endsWith("…"));
+  assert.equal(fit.overflow, "truncated to 3 line(s) at 10px");
+});
+
+test("excerpt cuts at a sentence end, else at a word with an ellipsis", () => {
+  const body = "প্রথম বাক্য এখানে শেষ। দ্বিতীয় বাক্যটি অনেক লম্বা এবং চলতেই থাকে";
+  assert.equal(excerpt(body, 30), "প্রথম বাক্য এখানে শেষ।");
+  assert.equal(excerpt("এক দুই তিন চার পাঁচ ছয়", 10), "এক দুই তিন…");
+  assert.equal(excerpt("  ছোট   লেখা ", 50), "ছোট লেখা");
+});
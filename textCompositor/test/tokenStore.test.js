@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "domka-tokens-"));
+Object.assign(process.env, {
+  TOKEN_STORE_PATH: path.join(dir, "tokens.enc"),
+  TOKEN_STORE_KEY: "test passphrase",
+});
+const tokens = await import("../tokenStore.js");
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// A store written before multi-account support, encrypted like tokenStore.js does
+function writeLegacyStore(store) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.scryptSync(process.env.TOKEN_STORE_KEY, salt, 32);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(store), "utf8"), cipher.final()]);
+  const blob = {
+    v: 1,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+  fs.writeFileSync(process.env.TOKEN_STORE_PATH, JSON.stringify(blob));
+}
+
+test("a single-account store is read as the default account's", () => {
+  writeLegacyStore({
+    longUserToken: "user-token",
+    pages: [{ id: "1", name: "খবর", access_token: "page-1" }],
+    defaultPageId: "1",
+  });
+  assert.equal(tokens.getLongUserToken(), "user-token");
+  assert.deepEqual(tokens.listPages(), [{ id: "1", name: "খবর", account: "default", isDefault: true }]);
+
+  // Connecting a second account keeps the first one's Page and token
+  tokens.saveToDB({ accountId: "sports", longUserToken: "user-2", pages: [{ id: "2", access_token: "page-2" }] });
+  assert.equal(tokens.getLongUserToken(), "user-token");
+  assert.equal(tokens.getLongUserToken("sports"), "user-2");
+  assert.deepEqual(
+    tokens.listPages().map((p) => [p.id, p.account]),
+    [
+      ["1", "default"],
+      ["2", "sports"],
+    ]
+  );
+  assert.equal(tokens.loadFromDB().pageToken, "page-1");
+});
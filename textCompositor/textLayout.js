@@ -0,0 +1,168 @@
+/**
+ * Line breaking for photocard text, independent of the canvas:
+ * every function takes `measure(text, fontPx) → width in px`.
+ *
+ * - Breaks between words; a word wider than the box is broken between
+ *   grapheme clusters, never inside a conjunct (যুক্তাক্ষর: consonant + ্ + consonant)
+ * - Optional balanced lines (headline looks even instead of one long + one short line)
+ * - Text that still doesn't fit at the minimum size is cut with an ellipsis,
+ *   and reported as overflowing instead of being silently dropped
+ */
+
+const HASANTA = "\u09cd"; // Bangla virama (্)
+const ZWJ = "\u200d";
+const ZWNJ = "\u200c";
+const ELLIPSIS = "\u2026";
+
+const segmenter = new Intl.Segmenter("bn", { granularity: "grapheme" });
+
+/**
+ * Grapheme clusters, with conjuncts kept whole even on ICU versions that
+ * split them (older ICU ends a cluster after the hasanta).
+ */
+export function graphemes(text) {
+  const out = [];
+  for (const { segment } of segmenter.segment(text)) {
+    const prev = out[out.length - 1];
+    const joins =
+      prev &&
+      (prev.endsWith(HASANTA) ||
+        prev.endsWith(ZWJ) ||
+        segment.startsWith(HASANTA) ||
+        segment.startsWith(ZWJ) ||
+        segment.startsWith(ZWNJ));
+    if (joins) {
+      out[out.length - 1] = prev + segment;
+    } else {
+      out.push(segment);
+    }
+  }
+  return out;
+}
+
+/**
+ * Split a single word into pieces no wider than maxWidth (at least one grapheme each).
+ */
+function breakWord(word, maxWidth, measure, fontPx) {
+  const pieces = [];
+  let current = "";
+  for (const g of graphemes(word)) {
+    if (current && measure(current + g, fontPx) > maxWidth) {
+      pieces.push(current);
+      current = g;
+    } else {
+      current += g;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Greedy wrap into lines no wider than maxWidth.
+ */
+export function wrapText(text, maxWidth, measure, fontPx) {
+  const words = text.trim().split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = "";
+  for (const word of words) {
+    const test = current ? current + " " + word : word;
+    if (measure(test, fontPx) <= maxWidth) {
+      current = test;
+      continue;
+    }
+    if (current) lines.push(current);
+    current = word;
+    if (measure(word, fontPx) > maxWidth) {
+      const pieces = breakWord(word, maxWidth, measure, fontPx);
+      lines.push(...pieces.slice(0, -1));
+      current = pieces[pieces.length - 1];
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Narrowest width that still wraps into the same number of lines,
+ * so lines come out roughly equal in length.
+ */
+export function balanceLines(text, maxWidth, measure, fontPx) {
+  const lines = wrapText(text, maxWidth, measure, fontPx);
+  if (lines.length < 2) return lines;
+  let lo = maxWidth / lines.length;
+  let hi = maxWidth;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) / 2;
+    if (wrapText(text, mid, measure, fontPx).length <= lines.length) hi = mid;
+    else lo = mid;
+  }
+  return wrapText(text, hi, measure, fontPx);
+}
+
+/**
+ * Cut `lines` to `count` lines, ending the last one with an ellipsis that fits.
+ */
+export function truncateLines(lines, count, maxWidth, measure, fontPx) {
+  const kept = lines.slice(0, count);
+  const gs = graphemes(kept[count - 1]);
+  while (gs.length && measure(gs.join("").trimEnd() + ELLIPSIS, fontPx) > maxWidth) {
+    gs.pop();
+  }
+  kept[count - 1] = gs.join("").trimEnd() + ELLIPSIS;
+  return kept;
+}
+
+/**
+ * Find the largest font size (startPx → minPx, 2px steps) at which `text`
+ * fits the box in at most maxLines lines.
+ *
+ * Returns { fontPx, lines, truncated, overflow }:
+ * - truncated: text was cut with an ellipsis at minPx
+ * - overflow: human-readable reason, or null when everything fit
+ */
+export function fitText(
+  text,
+  { width, height, startPx, minPx, lineHeight = 1.1, maxLines = 3, balance = false, measure }
+) {
+  const wrap = balance ? balanceLines : wrapText;
+  const sizes = [];
+  for (let px = startPx; px > minPx; px -= 2) sizes.push(px);
+  sizes.push(minPx);
+  for (const fontPx of sizes) {
+    const lines = wrap(text, width, measure, fontPx);
+    if (lines.length <= maxLines && lines.length * fontPx * lineHeight <= height) {
+      return { fontPx, lines, truncated: false, overflow: null };
+    }
+  }
+
+  const fontPx = minPx;
+  const lines = wrapText(text, width, measure, fontPx);
+  const fitLines = Math.max(1, Math.min(maxLines, Math.floor(height / (fontPx * lineHeight))));
+  if (lines.length <= fitLines) {
+    // Fits in line count; only the box is too short for the line height
+    return { fontPx, lines, truncated: false, overflow: `taller than its box at ${fontPx}px` };
+  }
+  return {
+    fontPx,
+    lines: truncateLines(lines, fitLines, width, measure, fontPx),
+    truncated: true,
+    overflow: `truncated to ${fitLines} line(s) at ${fontPx}px`,
+  };
+}
+
+/**
+ * Start of `text` cut at the last sentence end (। ? ! .) within maxChars;
+ * without one, at the last word boundary, ending in an ellipsis.
+ * Never cuts inside a grapheme cluster.
+ */
+export function excerpt(text, maxChars) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  const gs = graphemes(clean);
+  if (gs.length <= maxChars) return clean;
+  const head = gs.slice(0, maxChars).join("");
+  const sentenceEnd = Math.max(...["।", "?", "!", ". "].map((p) => head.lastIndexOf(p)));
+  if (sentenceEnd > head.length / 4) return head.slice(0, sentenceEnd + 1).trim();
+  const space = head.lastIndexOf(" ");
+  return (space > 0 ? head.slice(0, space) : head).trimEnd() + ELLIPSIS;
+}
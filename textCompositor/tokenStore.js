@@ -0,0 +1,163 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Encrypted-at-rest store for the long-lived user tokens and every Page's
+ * { id, name, access_token } returned by /me/accounts.
+ * Several Facebook accounts can be connected; their Pages are merged by id.
+ *
+ * - File backend (works offline): ../data/tokens.enc by default (TOKEN_STORE_PATH)
+ * - AES-256-GCM, key derived from TOKEN_STORE_KEY in .env (any passphrase)
+ * - The whole store is one encrypted JSON blob, rewritten atomically
+ * - A store from before multi-account support (one top-level longUserToken)
+ *   is read as the "default" account's, and saved that way on the next write
+ */
+
+const STORE_PATH = process.env.TOKEN_STORE_PATH || "../data/tokens.enc";
+
+function getKey(salt) {
+  const secret = process.env.TOKEN_STORE_KEY;
+  if (!secret) {
+    throw new Error("⚠️ Missing TOKEN_STORE_KEY in .env");
+  }
+  return crypto.scryptSync(secret, salt, 32);
+}
+
+function encrypt(obj) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getKey(salt), iv);
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(obj), "utf8"),
+    cipher.final(),
+  ]);
+  return {
+    v: 1,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function decrypt(blob) {
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getKey(Buffer.from(blob.salt, "base64")),
+    Buffer.from(blob.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(blob.tag, "base64"));
+  const json = Buffer.concat([
+    decipher.update(Buffer.from(blob.data, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+  return JSON.parse(json);
+}
+
+function readStore() {
+  if (!fs.existsSync(STORE_PATH)) {
+    return { accounts: {}, pages: [], defaultPageId: null };
+  }
+  const blob = JSON.parse(fs.readFileSync(STORE_PATH, "utf8"));
+  let store;
+  try {
+    store = decrypt(blob);
+  } catch {
+    throw new Error("❌ Token store could not be decrypted (wrong TOKEN_STORE_KEY?)");
+  }
+  return migrate(store);
+}
+
+// Single-account store → accounts{}: its token and Pages belong to "default"
+function migrate(store) {
+  if (store.accounts) return store;
+  const { longUserToken = null, ...rest } = store;
+  return {
+    ...rest,
+    accounts: longUserToken ? { default: { longUserToken, updated_at: store.updated_at || null } } : {},
+    pages: (store.pages || []).map((p) => ({ ...p, account: p.account || "default" })),
+  };
+}
+
+function writeStore(store) {
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  const tmp = `${STORE_PATH}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(encrypt(store)), { mode: 0o600 });
+  fs.renameSync(tmp, STORE_PATH);
+}
+
+// ---- public API -----------------------------------------------------
+
+/**
+ * Persist the result of one OAuth round-trip for one account.
+ * Pages previously granted by this account but missing now are dropped;
+ * other accounts' Pages are kept. The default Page stays if still connected.
+ */
+export function saveToDB({ accountId = "default", longUserToken, pages = [] }) {
+  const store = readStore();
+  store.accounts[accountId] = { longUserToken, updated_at: new Date().toISOString() };
+  store.pages = store.pages
+    .filter((p) => p.account !== accountId && !pages.some((n) => n.id === p.id))
+    .concat(
+      pages.map((p) => ({
+        id: p.id,
+        name: p.name || "",
+        access_token: p.access_token,
+        account: accountId,
+      }))
+    );
+  if (!store.pages.some((p) => p.id === store.defaultPageId)) {
+    store.defaultPageId = store.pages[0]?.id || null;
+  }
+  store.updated_at = new Date().toISOString();
+  writeStore(store);
+  return listPages();
+}
+
+/**
+ * Resolve a Page token. Without pageId, returns the default Page.
+ */
+export function loadFromDB(pageId) {
+  const store = readStore();
+  const id = pageId || store.defaultPageId;
+  const page = store.pages.find((p) => p.id === id);
+  if (!page) {
+    throw new Error(
+      pageId
+        ? `⚠️ Page ${pageId} is not connected`
+        : "⚠️ No Page connected — visit /auth/facebook first"
+    );
+  }
+  return { pageId: page.id, pageToken: page.access_token, pageName: page.name };
+}
+
+/**
+ * Connected Pages without their tokens (safe to return over HTTP).
+ */
+export function listPages() {
+  const store = readStore();
+  return store.pages.map((p) => ({
+    id: p.id,
+    name: p.name,
+    account: p.account,
+    isDefault: p.id === store.defaultPageId,
+  }));
+}
+
+export function setDefaultPage(pageId) {
+  const store = readStore();
+  if (!store.pages.some((p) => p.id === pageId)) {
+    throw new Error(`⚠️ Page ${pageId} is not connected`);
+  }
+  store.defaultPageId = pageId;
+  writeStore(store);
+  return listPages();
+}
+
+export function getLongUserToken(accountId = "default") {
+  return readStore().accounts?.[accountId]?.longUserToken || null;
+}